@@ -4,6 +4,13 @@
 */
 
 import { VoiceSampler, MicRecorder } from './voice-sampler.js';
+import { MidiInput } from './midi-input.js';
+import { Arpeggiator } from './arpeggiator.js';
+import { StepSequencer } from './sequencer.js';
+import { MidiPlayer } from './midi-player.js';
+import { getExporters } from './exporters.js';
+import { SampleLibrary } from './sample-library.js';
+import { EditHistory } from './history.js';
 
 // ─────────────────────────────────────────────────────────
 // DOM Elements
@@ -12,12 +19,23 @@ const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
 
 const elements = {
+  // Project
+  saveProjectBtn: $('#saveProjectBtn'),
+  openProjectInput: $('#openProjectInput'),
+
+  // Undo / redo
+  undoBtn: $('#undoBtn'),
+  redoBtn: $('#redoBtn'),
+
   // Recording
   recordBtn: $('#recordBtn'),
   levelMeter: $('#levelMeter'),
   levelPeak: $('#levelPeak'),
   recordingTime: $('#recordingTime'),
   recordingStatus: $('#recordingStatus'),
+  recordTargetSelect: $('#recordTargetSelect'),
+  recordTakeBtn: $('#recordTakeBtn'),
+  loadFileInput: $('#loadFileInput'),
   
   // Waveform
   waveformContainer: $('#waveformContainer'),
@@ -25,20 +43,54 @@ const elements = {
   loopRegion: $('#loopRegion'),
   loopStartHandle: $('#loopStartHandle'),
   loopEndHandle: $('#loopEndHandle'),
+  trimStartShade: $('#trimStartShade'),
+  trimEndShade: $('#trimEndShade'),
+  trimStartHandle: $('#trimStartHandle'),
+  trimEndHandle: $('#trimEndHandle'),
   playhead: $('#playhead'),
+
+  // Sample edits
+  editTypeSelect: $('#editTypeSelect'),
+  addEditBtn: $('#addEditBtn'),
+  clearEditsBtn: $('#clearEditsBtn'),
+  editList: $('#editList'),
   
   // Loop Info
   loopStartTime: $('#loopStartTime'),
   loopEndTime: $('#loopEndTime'),
   loopDuration: $('#loopDuration'),
   playSampleBtn: $('#playSampleBtn'),
+  loopScoreBadge: $('#loopScoreBadge'),
+  prevLoopBtn: $('#prevLoopBtn'),
+  nextLoopBtn: $('#nextLoopBtn'),
+  loopCandidateIndex: $('#loopCandidateIndex'),
+  loopCandidateScore: $('#loopCandidateScore'),
+  auditionLoopBtn: $('#auditionLoopBtn'),
   
   // Sample Info
   rootNote: $('#rootNote'),
   rootFreq: $('#rootFreq'),
   pitchConfidence: $('#pitchConfidence'),
+  rootFromFile: $('#rootFromFile'),
+  loopFromFile: $('#loopFromFile'),
   duration: $('#duration'),
+  vibratoInfo: $('#vibratoInfo'),
+  pitchOverlayToggle: $('#pitchOverlayToggle'),
+  loopModeSelect: $('#loopModeSelect'),
   
+  // Zones
+  zoneMapCanvas: $('#zoneMapCanvas'),
+  zoneName: $('#zoneName'),
+  zoneLowKey: $('#zoneLowKey'),
+  zoneHighKey: $('#zoneHighKey'),
+  zoneLowVel: $('#zoneLowVel'),
+  zoneHighVel: $('#zoneHighVel'),
+  zoneTakes: $('#zoneTakes'),
+  zoneTakeCount: $('#zoneTakeCount'),
+  zoneGroupModeSelect: $('#zoneGroupModeSelect'),
+  autoMapZonesBtn: $('#autoMapZonesBtn'),
+  deleteZoneBtn: $('#deleteZoneBtn'),
+
   // Keyboard
   keyboard: $('#keyboard'),
   octaveDown: $('#octaveDown'),
@@ -55,12 +107,77 @@ const elements = {
   sustainValue: $('#sustainValue'),
   releaseValue: $('#releaseValue'),
   envelopeCanvas: $('#envelopeCanvas'),
+
+  // Filter / Mod
+  filterTypeSelect: $('#filterTypeSelect'),
+  cutoffSlider: $('#cutoffSlider'),
+  resonanceSlider: $('#resonanceSlider'),
+  filterEnvAmount: $('#filterEnvAmount'),
+  filterAttackSlider: $('#filterAttackSlider'),
+  filterDecaySlider: $('#filterDecaySlider'),
+  filterSustainSlider: $('#filterSustainSlider'),
+  filterReleaseSlider: $('#filterReleaseSlider'),
+  filterAttackValue: $('#filterAttackValue'),
+  filterDecayValue: $('#filterDecayValue'),
+  filterSustainValue: $('#filterSustainValue'),
+  filterReleaseValue: $('#filterReleaseValue'),
+  filterEnvelopeCanvas: $('#filterEnvelopeCanvas'),
+  lfoControls: [1, 2].map(n => ({
+    shape: $(`#lfo${n}Shape`),
+    rate: $(`#lfo${n}Rate`),
+    pitch: $(`#lfo${n}Pitch`),
+    cutoff: $(`#lfo${n}Cutoff`),
+    amp: $(`#lfo${n}Amp`),
+    pan: $(`#lfo${n}Pan`)
+  })),
   
   // Tempo
   tempoSyncToggle: $('#tempoSyncToggle'),
+  arpToggle: $('#arpToggle'),
+  arpPatternSelect: $('#arpPatternSelect'),
+  arpRateSelect: $('#arpRateSelect'),
+  arpOctavesSelect: $('#arpOctavesSelect'),
+  arpGateSlider: $('#arpGateSlider'),
+  arpSwingSlider: $('#arpSwingSlider'),
+
+  // Sequencer
+  seqPlayBtn: $('#seqPlayBtn'),
+  seqPatternSelect: $('#seqPatternSelect'),
+  seqAddPatternBtn: $('#seqAddPatternBtn'),
+  seqDeletePatternBtn: $('#seqDeletePatternBtn'),
+  seqLengthSelect: $('#seqLengthSelect'),
+  seqDivisionSelect: $('#seqDivisionSelect'),
+  seqChainInput: $('#seqChainInput'),
+  seqSaveBtn: $('#seqSaveBtn'),
+  sequencerCanvas: $('#sequencerCanvas'),
+  seqStepName: $('#seqStepName'),
+  seqVelocity: $('#seqVelocity'),
+  seqStepLength: $('#seqStepLength'),
+  seqTie: $('#seqTie'),
+  seqLaneNoteSelect: $('#seqLaneNoteSelect'),
+  seqAddLaneBtn: $('#seqAddLaneBtn'),
+  seqRemoveLaneBtn: $('#seqRemoveLaneBtn'),
+
+  // MIDI file player
+  midiPlayBtn: $('#midiPlayBtn'),
+  midiFileInput: $('#midiFileInput'),
+  midiFileName: $('#midiFileName'),
+  midiFileTempo: $('#midiFileTempo'),
+  midiTempoModeSelect: $('#midiTempoModeSelect'),
+  midiLoopToggle: $('#midiLoopToggle'),
+  midiTrackList: $('#midiTrackList'),
+
+  // Library
+  libraryCount: $('#libraryCount'),
+  librarySearch: $('#librarySearch'),
+  libraryRootSelect: $('#libraryRootSelect'),
+  librarySaveToggle: $('#librarySaveToggle'),
+  libraryList: $('#libraryList'),
+
   bpmSlider: $('#bpmSlider'),
   bpmInput: $('#bpmInput'),
   noteDivisionSelect: $('#noteDivisionSelect'),
+  stretchModeSelect: $('#stretchModeSelect'),
   tempoDuration: $('#tempoDuration'),
 
   // Export
@@ -72,15 +189,27 @@ const elements = {
   perfExportRow: $('#perfExportRow'),
   exportPerfWav: $('#exportPerfWav'),
   exportPerfWebm: $('#exportPerfWebm'),
+  perfMidiRow: $('#perfMidiRow'),
+  perfMidiFormat: $('#perfMidiFormat'),
+  exportPerfMidi: $('#exportPerfMidi'),
   sampleExportType: $('#sampleExportType'),
+  wavBitDepthSelect: $('#wavBitDepthSelect'),
+  instrumentFormatSelect: $('#instrumentFormatSelect'),
+  exportInstrumentBtn: $('#exportInstrumentBtn'),
   exportSampleWav: $('#exportSampleWav'),
   exportSampleWebm: $('#exportSampleWebm'),
 
   // Settings
   polyphonySelect: $('#polyphonySelect'),
+  glideSlider: $('#glideSlider'),
+  notePrioritySelect: $('#notePrioritySelect'),
   normalizeToggle: $('#normalizeToggle'),
   rootNoteSelect: $('#rootNoteSelect'),
+  pitchModeSelect: $('#pitchModeSelect'),
+  formantSlider: $('#formantSlider'),
   volumeSlider: $('#volumeSlider'),
+  midiDeviceSelect: $('#midiDeviceSelect'),
+  midiChannelSelect: $('#midiChannelSelect'),
   
   // Overlays
   loadingOverlay: $('#loadingOverlay'),
@@ -93,12 +222,19 @@ const elements = {
 let audioContext = null;
 let sampler = null;
 let recorder = null;
+let midiInput = null;
+let arpeggiator = null;
+let sequencer = null;
+let midiPlayer = null;
+let library = null;
+let history = null;
 
 let state = {
   isRecording: false,
   hasRecording: false,
   recordStartTime: 0,
   recordingTimerId: null,
+  recordTarget: null,   // Target for this recording only, instead of the target select
   currentOctave: 4,
   peakLevel: 0,
   peakDecay: null,
@@ -107,9 +243,16 @@ let state = {
   sampleDuration: 0,
   loopStart: 0,
   loopEnd: 0,
+  trimStart: 0,
+  trimEnd: 0,
 
   // Dragging
-  isDragging: null, // 'start' | 'end' | null
+  isDragging: null, // 'start' | 'end' | 'trimStart' | 'trimEnd' | null
+
+  // Sequencer
+  seqSelection: null,   // { lane, step } of the step being edited
+  seqSelectedLane: null,
+  seqPlayhead: null,    // { patternId, step } currently sounding
 
   // Performance recording
   isRecordingPerformance: false,
@@ -135,23 +278,40 @@ function init() {
   buildKeyboard();
   setupEventListeners();
   drawEnvelopeViz();
+  onFilterChange();
+  buildLaneNoteOptions();
   updateOctaveDisplay();
   updateTempoDurationDisplay();
+  buildInstrumentFormatOptions();
+  initMidi();
+  initLibrary();
 }
 
 async function initAudio() {
-  if (audioContext) return;
+  if (audioContext) {
+    resumeAudio();
+    return;
+  }
 
   audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
   sampler = new VoiceSampler(audioContext, {
-    maxPolyphony: parseInt(elements.polyphonySelect.value),
-    normalize: elements.normalizeToggle.checked
+    maxPolyphony: getMaxPolyphony(),
+    voiceMode: elements.polyphonySelect.value === 'mono' ? 'mono' : 'poly',
+    glideTime: parseInt(elements.glideSlider.value) / 1000,
+    notePriority: elements.notePrioritySelect.value,
+    normalize: elements.normalizeToggle.checked,
+    stretchMode: elements.stretchModeSelect.value,
+    pitchMode: elements.pitchModeSelect.value,
+    formantShift: parseInt(elements.formantSlider.value)
   });
   sampler.connect(audioContext.destination);
 
-  // Set initial envelope
+  // Set initial envelopes, filter and LFOs
   updateEnvelope();
+  updateFilter();
+  updateFilterEnvelope();
+  elements.lfoControls.forEach((controls, index) => updateLfo(index));
 
   // Set initial volume
   sampler.output.gain.value = elements.volumeSlider.value / 100;
@@ -159,17 +319,77 @@ async function initAudio() {
   // Event listeners
   sampler.on('loadComplete', onSampleLoaded);
   sampler.on('loadError', (e) => showToast('Error loading recording', 'error'));
+  sampler.on('zonesChange', onZonesChange);
+  sampler.on('zoneSelect', onZoneSelect);
+  sampler.on('sampleEdit', showSelectedZone);
+
+  history = new EditHistory({
+    capture: () => sampler.getEditState(),
+    restore: restoreEditState
+  });
+  history.on('change', updateHistoryButtons);
+
+  arpeggiator = new Arpeggiator(sampler, getArpSettings());
+  arpeggiator.setEnabled(elements.arpToggle.checked);
+
+  initSequencer();
+
+  midiPlayer = new MidiPlayer(sampler);
+  midiPlayer.setTempoMode(elements.midiTempoModeSelect.value);
+  midiPlayer.setLoop(elements.midiLoopToggle.checked);
+  midiPlayer.on('play', updateMidiPlayButton);
+  midiPlayer.on('stop', onMidiPlayerStop);
 
   recorder = new MicRecorder(audioContext);
   recorder.onLevel(updateLevelMeter);
+
+  resumeAudio();
+}
+
+let resumeOnGesture = null;
+
+// A context created outside a user gesture (e.g. by a MIDI note) starts
+// suspended; it is resumed right away when allowed, else on the next click or key
+function resumeAudio() {
+  if (audioContext.state !== 'suspended') return;
+
+  audioContext.resume().catch(err => console.warn('Audio resume failed:', err));
+  if (resumeOnGesture) return;
+
+  resumeOnGesture = () => {
+    audioContext.resume().catch(err => console.warn('Audio resume failed:', err));
+    ['pointerdown', 'keydown'].forEach(type => document.removeEventListener(type, resumeOnGesture, true));
+    resumeOnGesture = null;
+  };
+  ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, resumeOnGesture, true));
 }
 
 // ─────────────────────────────────────────────────────────
 // Event Listeners
 // ─────────────────────────────────────────────────────────
 function setupEventListeners() {
+  // Project
+  elements.saveProjectBtn.addEventListener('click', saveProject);
+  elements.openProjectInput.addEventListener('change', onOpenProject);
+
+  // Undo / redo
+  elements.undoBtn.addEventListener('click', undoEdit);
+  elements.redoBtn.addEventListener('click', redoEdit);
+
   // Record button
   elements.recordBtn.addEventListener('click', toggleRecording);
+  elements.loadFileInput.addEventListener('change', onLoadFile);
+  elements.recordTakeBtn.addEventListener('click', onRecordTake);
+
+  // Zones
+  elements.zoneMapCanvas.addEventListener('click', onZoneMapClick);
+  elements.zoneLowKey.addEventListener('change', onZoneRangeChange);
+  elements.zoneHighKey.addEventListener('change', onZoneRangeChange);
+  elements.zoneLowVel.addEventListener('change', onZoneRangeChange);
+  elements.zoneHighVel.addEventListener('change', onZoneRangeChange);
+  elements.zoneGroupModeSelect.addEventListener('change', onGroupModeChange);
+  elements.autoMapZonesBtn.addEventListener('click', onAutoMapZones);
+  elements.deleteZoneBtn.addEventListener('click', onDeleteZone);
 
   // Octave controls
   elements.octaveDown.addEventListener('click', () => changeOctave(-1));
@@ -180,12 +400,87 @@ function setupEventListeners() {
   elements.decaySlider.addEventListener('input', onEnvelopeChange);
   elements.sustainSlider.addEventListener('input', onEnvelopeChange);
   elements.releaseSlider.addEventListener('input', onEnvelopeChange);
+  [elements.attackSlider, elements.decaySlider, elements.sustainSlider, elements.releaseSlider]
+    .forEach(slider => slider.addEventListener('change', () => history?.seal()));
+
+  // Filter / Mod
+  elements.filterTypeSelect.addEventListener('change', onFilterChange);
+  elements.cutoffSlider.addEventListener('input', onFilterChange);
+  elements.resonanceSlider.addEventListener('input', onFilterChange);
+  elements.filterEnvAmount.addEventListener('input', onFilterChange);
+  elements.filterAttackSlider.addEventListener('input', onFilterEnvelopeChange);
+  elements.filterDecaySlider.addEventListener('input', onFilterEnvelopeChange);
+  elements.filterSustainSlider.addEventListener('input', onFilterEnvelopeChange);
+  elements.filterReleaseSlider.addEventListener('input', onFilterEnvelopeChange);
+  elements.lfoControls.forEach((controls, index) => {
+    Object.values(controls).forEach(input => {
+      input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => onLfoChange(index));
+    });
+  });
 
   // Tempo controls
   elements.tempoSyncToggle.addEventListener('change', onTempoSyncChange);
   elements.bpmSlider.addEventListener('input', onBpmChange);
+  elements.bpmSlider.addEventListener('change', () => history?.seal());
   elements.bpmInput.addEventListener('change', onBpmInputChange);
   elements.noteDivisionSelect.addEventListener('change', onNoteDivisionChange);
+  elements.stretchModeSelect.addEventListener('change', onStretchModeChange);
+
+  // Arpeggiator
+  elements.arpToggle.addEventListener('change', onArpToggle);
+  elements.arpPatternSelect.addEventListener('change', onArpChange);
+  elements.arpRateSelect.addEventListener('change', onArpChange);
+  elements.arpOctavesSelect.addEventListener('change', onArpChange);
+  elements.arpGateSlider.addEventListener('input', onArpChange);
+  elements.arpSwingSlider.addEventListener('input', onArpChange);
+
+  // Sequencer
+  elements.seqPlayBtn.addEventListener('click', onSequencerPlayClick);
+  elements.seqPatternSelect.addEventListener('change', () => {
+    sequencer?.selectPattern(parseInt(elements.seqPatternSelect.value));
+  });
+  elements.seqAddPatternBtn.addEventListener('click', () => {
+    initAudio();
+    sequencer.addPattern();
+  });
+  elements.seqDeletePatternBtn.addEventListener('click', () => {
+    sequencer?.removePattern(sequencer.selectedId);
+  });
+  elements.seqLengthSelect.addEventListener('change', () => {
+    initAudio();
+    sequencer.setLength(sequencer.selectedId, parseInt(elements.seqLengthSelect.value));
+  });
+  elements.seqDivisionSelect.addEventListener('change', () => {
+    initAudio();
+    sequencer.setDivision(sequencer.selectedId, parseFloat(elements.seqDivisionSelect.value));
+  });
+  elements.seqChainInput.addEventListener('change', onSequencerChainChange);
+  elements.seqSaveBtn.addEventListener('click', onSequencerSave);
+  elements.sequencerCanvas.addEventListener('click', onSequencerClick);
+  elements.seqVelocity.addEventListener('input', onSequencerStepEdit);
+  elements.seqStepLength.addEventListener('input', onSequencerStepEdit);
+  elements.seqTie.addEventListener('change', onSequencerStepEdit);
+  elements.seqAddLaneBtn.addEventListener('click', onSequencerAddLane);
+  elements.seqRemoveLaneBtn.addEventListener('click', onSequencerRemoveLane);
+
+  // MIDI file player
+  elements.midiFileInput.addEventListener('change', onMidiFileLoad);
+  elements.midiPlayBtn.addEventListener('click', onMidiPlayClick);
+  elements.midiTempoModeSelect.addEventListener('change', () => {
+    midiPlayer?.setTempoMode(elements.midiTempoModeSelect.value);
+  });
+  elements.midiLoopToggle.addEventListener('change', () => {
+    midiPlayer?.setLoop(elements.midiLoopToggle.checked);
+  });
+  elements.midiTrackList.addEventListener('change', (e) => {
+    midiPlayer?.setTrackEnabled(parseInt(e.target.dataset.track), e.target.checked);
+  });
+
+  // Library
+  elements.librarySearch.addEventListener('input', renderLibrary);
+  elements.libraryRootSelect.addEventListener('change', renderLibrary);
+  elements.libraryList.addEventListener('click', onLibraryClick);
+  elements.libraryList.addEventListener('change', onLibraryEdit);
 
   // Export controls
   elements.metronomeToggle.addEventListener('change', onMetronomeToggle);
@@ -193,14 +488,23 @@ function setupEventListeners() {
   elements.perfRecordBtn.addEventListener('click', onPerfRecordToggle);
   elements.exportPerfWav.addEventListener('click', () => exportPerformance('wav'));
   elements.exportPerfWebm.addEventListener('click', () => exportPerformance('webm'));
+  elements.exportPerfMidi.addEventListener('click', exportPerformanceMidi);
   elements.exportSampleWav.addEventListener('click', () => exportSample('wav'));
   elements.exportSampleWebm.addEventListener('click', () => exportSample('webm'));
+  elements.exportInstrumentBtn.addEventListener('click', exportInstrument);
 
   // Settings
   elements.polyphonySelect.addEventListener('change', onPolyphonyChange);
+  elements.glideSlider.addEventListener('input', onGlideChange);
+  elements.notePrioritySelect.addEventListener('change', onNotePriorityChange);
   elements.normalizeToggle.addEventListener('change', onNormalizeChange);
   elements.volumeSlider.addEventListener('input', onVolumeChange);
   elements.rootNoteSelect.addEventListener('change', onRootNoteChange);
+  elements.loopModeSelect.addEventListener('change', onLoopModeChange);
+  elements.pitchModeSelect.addEventListener('change', onPitchModeChange);
+  elements.formantSlider.addEventListener('input', onFormantShiftChange);
+  elements.midiDeviceSelect.addEventListener('change', onMidiDeviceChange);
+  elements.midiChannelSelect.addEventListener('change', onMidiChannelChange);
 
   // Keyboard interaction (mouse/touch)
   elements.keyboard.addEventListener('pointerdown', onKeyDown);
@@ -208,18 +512,31 @@ function setupEventListeners() {
   elements.keyboard.addEventListener('pointerleave', onKeyUp);
 
   // Computer keyboard
+  document.addEventListener('keydown', onHistoryKeyDown);
   document.addEventListener('keydown', onComputerKeyDown);
   document.addEventListener('keyup', onComputerKeyUp);
 
   // Prevent context menu on long press
   elements.keyboard.addEventListener('contextmenu', e => e.preventDefault());
 
-  // Loop handle dragging
+  // Loop and trim handle dragging
   setupLoopHandleDragging();
 
+  // Sample edits
+  elements.addEditBtn.addEventListener('click', onAddEdit);
+  elements.clearEditsBtn.addEventListener('click', onClearEdits);
+  elements.editList.addEventListener('change', onEditListChange);
+  elements.editList.addEventListener('click', onEditListClick);
+
   // Play sample button
   elements.playSampleBtn.addEventListener('click', onPlaySampleClick);
 
+  // Loop candidates
+  elements.prevLoopBtn.addEventListener('click', () => stepLoopCandidate(-1));
+  elements.nextLoopBtn.addEventListener('click', () => stepLoopCandidate(1));
+  elements.auditionLoopBtn.addEventListener('click', auditionLoop);
+  elements.pitchOverlayToggle.addEventListener('change', drawWaveform);
+
   // Canvas resize
   window.addEventListener('resize', resizeCanvases);
   resizeCanvases();
@@ -246,6 +563,15 @@ function setupLoopHandleDragging() {
     elements.loopEndHandle.setPointerCapture(e.pointerId);
   });
 
+  [[elements.trimStartHandle, 'trimStart'], [elements.trimEndHandle, 'trimEnd']].forEach(([handle, drag]) => {
+    handle.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      state.isDragging = drag;
+      handle.classList.add('dragging');
+      handle.setPointerCapture(e.pointerId);
+    });
+  });
+
   // Drag move
   document.addEventListener('pointermove', (e) => {
     if (!state.isDragging || !state.hasRecording) return;
@@ -256,6 +582,17 @@ function setupLoopHandleDragging() {
     const time = pct * state.sampleDuration;
     
     const minLoopDuration = 0.05; // 50ms minimum
+
+    // Trim handles only move here; the edit is rendered on release
+    if (state.isDragging === 'trimStart') {
+      state.trimStart = Math.max(0, Math.min(time, state.trimEnd - MIN_TRIM_DURATION));
+      updateTrimUI();
+      return;
+    } else if (state.isDragging === 'trimEnd') {
+      state.trimEnd = Math.max(state.trimStart + MIN_TRIM_DURATION, Math.min(time, state.sampleDuration));
+      updateTrimUI();
+      return;
+    }
     
     if (state.isDragging === 'start') {
       // Don't let start go past end - minLoopDuration
@@ -268,15 +605,19 @@ function setupLoopHandleDragging() {
     }
     
     updateLoopUI();
+    recordEdit('Loop points', 'loopDrag');
     updateSamplerLoopPoints();
   });
 
-  // End drag
+  // End drag (the whole drag is one undo step)
   document.addEventListener('pointerup', (e) => {
     if (state.isDragging) {
-      elements.loopStartHandle.classList.remove('dragging');
-      elements.loopEndHandle.classList.remove('dragging');
+      const trimmed = state.isDragging.startsWith('trim');
+      [elements.loopStartHandle, elements.loopEndHandle, elements.trimStartHandle, elements.trimEndHandle]
+        .forEach(handle => handle.classList.remove('dragging'));
       state.isDragging = null;
+      history?.seal();
+      if (trimmed) commitTrim();
     }
   });
 
@@ -288,6 +629,14 @@ function setupLoopHandleDragging() {
   elements.loopEndHandle.addEventListener('keydown', (e) => {
     handleLoopKeyboard(e, 'end');
   });
+
+  elements.trimStartHandle.addEventListener('keydown', (e) => {
+    handleTrimKeyboard(e, 'start');
+  });
+
+  elements.trimEndHandle.addEventListener('keydown', (e) => {
+    handleTrimKeyboard(e, 'end');
+  });
 }
 
 function handleLoopKeyboard(e, handle) {
@@ -311,11 +660,31 @@ function handleLoopKeyboard(e, handle) {
       state.loopEnd = Math.min(state.sampleDuration, state.loopEnd + step);
     }
   }
+  if (!e.defaultPrevented) return;
   
   updateLoopUI();
+  recordEdit('Loop points', `loopKeys-${handle}`); // Held or repeated arrows make one step
   updateSamplerLoopPoints();
 }
 
+function handleTrimKeyboard(e, handle) {
+  if (!state.hasRecording) return;
+
+  const step = e.shiftKey ? 0.1 : 0.01;
+  const direction = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1 }[e.key];
+  if (!direction) return;
+  e.preventDefault();
+
+  if (handle === 'start') {
+    state.trimStart = Math.max(0, Math.min(state.trimEnd - MIN_TRIM_DURATION, state.trimStart + direction * step));
+  } else {
+    state.trimEnd = Math.min(state.sampleDuration, Math.max(state.trimStart + MIN_TRIM_DURATION, state.trimEnd + direction * step));
+  }
+
+  updateTrimUI();
+  commitTrim(`trimKeys-${handle}`);
+}
+
 function updateLoopUI() {
   const startPct = (state.loopStart / state.sampleDuration) * 100;
   const endPct = (state.loopEnd / state.sampleDuration) * 100;
@@ -332,6 +701,80 @@ function updateLoopUI() {
   elements.loopStartTime.textContent = state.loopStart.toFixed(2);
   elements.loopEndTime.textContent = state.loopEnd.toFixed(2);
   elements.loopDuration.textContent = (state.loopEnd - state.loopStart).toFixed(2);
+
+  updateFromFileBadges();
+  updateLoopCandidateUI();
+}
+
+// Index of the candidate the loop points sit on, or -1 once moved by hand
+function currentLoopCandidate() {
+  return (sampler?.getLoopCandidates() ?? []).findIndex(candidate =>
+    Math.abs(candidate.loopStart - state.loopStart) < 1e-4 &&
+    Math.abs(candidate.loopEnd - state.loopEnd) < 1e-4);
+}
+
+function updateLoopCandidateUI() {
+  const candidates = sampler?.getLoopCandidates() ?? [];
+  const index = currentLoopCandidate();
+  const candidate = candidates[index];
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  elements.prevLoopBtn.disabled = candidates.length < 2;
+  elements.nextLoopBtn.disabled = candidates.length < 2;
+  elements.auditionLoopBtn.disabled = candidates.length === 0;
+
+  elements.loopCandidateIndex.textContent = candidates.length
+    ? `${index >= 0 ? index + 1 : '–'}/${candidates.length}`
+    : '--';
+  elements.loopCandidateScore.textContent = candidate
+    ? `${percent(candidate.score)} · seam ${percent(candidate.correlation)} · spectrum ${percent(candidate.spectral)} · level ${percent(candidate.stability)}`
+    : candidates.length ? 'Moved by hand' : '--';
+
+  elements.loopScoreBadge.hidden = !candidate;
+  if (candidate) elements.loopScoreBadge.textContent = `#${index + 1} ${percent(candidate.score)}`;
+}
+
+// Wraps around; from a hand-placed loop, either direction starts at the best
+function stepLoopCandidate(direction) {
+  const count = sampler?.getLoopCandidates().length ?? 0;
+  if (count === 0) return;
+
+  const index = currentLoopCandidate();
+  const next = index < 0 ? 0 : (index + direction + count) % count;
+
+  recordEdit('Loop candidate');
+  sampler.selectLoopCandidate(next);
+  state.loopStart = sampler.loopStart;
+  state.loopEnd = sampler.loopEnd;
+  updateLoopUI();
+
+  // Keep auditioning while stepping through
+  if (samplePreviewPlaying) auditionLoop();
+}
+
+// Root and loop read from a WAV's smpl/inst chunks stay marked until edited
+function updateFromFileBadges() {
+  const analysis = sampler?.getAnalysis();
+  const fromFile = analysis?.fromFile;
+
+  const rootFromFile = !!fromFile?.root && sampler.rootMidi === analysis.rootMidi;
+  const loopFromFile = !!fromFile?.loop
+    && Math.abs(state.loopStart - analysis.loopStart) < 1e-4
+    && Math.abs(state.loopEnd - analysis.loopEnd) < 1e-4;
+
+  elements.rootFromFile.hidden = !rootFromFile;
+  elements.loopFromFile.hidden = !loopFromFile;
+}
+
+function onLoopModeChange() {
+  if (!sampler) return;
+  recordEdit('Loop mode');
+  sampler.setLoopMode(elements.loopModeSelect.value);
+  updateLoopModeUI();
+}
+
+function updateLoopModeUI() {
+  elements.loopRegion.classList.toggle('one-shot', elements.loopModeSelect.value === 'oneShot');
 }
 
 function updateSamplerLoopPoints() {
@@ -339,6 +782,295 @@ function updateSamplerLoopPoints() {
   sampler.setLoopPoints(state.loopStart, state.loopEnd);
 }
 
+// ─────────────────────────────────────────────────────────
+// Sample Edits
+// ─────────────────────────────────────────────────────────
+const MIN_TRIM_DURATION = 0.1;
+
+const EDIT_NAMES = {
+  trim: 'Trim',
+  fadeIn: 'Fade in',
+  fadeOut: 'Fade out',
+  reverse: 'Reverse',
+  gain: 'Gain',
+  removeDc: 'Remove DC',
+  insertSilence: 'Insert silence',
+  flattenPitch: 'Flatten pitch'
+};
+
+const FADE_CURVE_NAMES = {
+  linear: 'Linear',
+  exponential: 'Exponential',
+  equalPower: 'Equal power',
+  sCurve: 'S-curve'
+};
+
+// Controls per edit type. `scale` converts the stored value to the shown unit,
+// `max` caps the stored value, `toggle` makes a checkbox.
+const EDIT_CONTROLS = {
+  trim: [
+    { param: 'start', label: 'Start', unit: 's', step: 0.01 },
+    { param: 'end', label: 'End', unit: 's', step: 0.01, optional: true }
+  ],
+  fadeIn: [
+    { param: 'duration', label: 'Length', unit: 'ms', scale: 1000, step: 1 },
+    { param: 'curve', label: 'Curve', options: FADE_CURVE_NAMES }
+  ],
+  fadeOut: [
+    { param: 'duration', label: 'Length', unit: 'ms', scale: 1000, step: 1 },
+    { param: 'curve', label: 'Curve', options: FADE_CURVE_NAMES }
+  ],
+  gain: [
+    { param: 'db', label: 'Gain', unit: 'dB', step: 0.5 }
+  ],
+  insertSilence: [
+    { param: 'position', label: 'At', unit: 's', step: 0.01 },
+    { param: 'duration', label: 'Length', unit: 'ms', scale: 1000, step: 10 }
+  ],
+  flattenPitch: [
+    { param: 'strength', label: 'Strength', unit: '%', scale: 100, step: 10, max: 1 },
+    { param: 'keepVibrato', label: 'Keep vibrato', toggle: true }
+  ]
+};
+
+// Trim handles sit on the sample's played region (sampleStart/sampleEnd)
+function updateTrimUI() {
+  const startPct = (state.trimStart / state.sampleDuration) * 100;
+  const endPct = (state.trimEnd / state.sampleDuration) * 100;
+
+  elements.trimStartShade.style.left = '0';
+  elements.trimStartShade.style.width = `${startPct}%`;
+  elements.trimEndShade.style.left = `${endPct}%`;
+  elements.trimEndShade.style.width = `${100 - endPct}%`;
+  elements.trimStartHandle.style.left = `${startPct}%`;
+  elements.trimEndHandle.style.left = `${endPct}%`;
+}
+
+// Render the handles' trim into the edit stack (one undo step per drag)
+function commitTrim(key = null) {
+  if (!sampler?.zone) return;
+  if (state.trimStart === sampler.sampleStart && state.trimEnd === sampler.sampleEnd) return;
+
+  recordEdit('Trim', key);
+  sampler.setTrim(state.trimStart, state.trimEnd);
+}
+
+function onAddEdit() {
+  if (!sampler?.zone) return;
+
+  const type = elements.editTypeSelect.value;
+  const params = type === 'trim'
+    ? { start: sampler.sampleStart, end: sampler.sampleEnd }
+    : {};
+
+  recordEdit(`Add ${EDIT_NAMES[type].toLowerCase()}`);
+  sampler.addEdit(type, params);
+}
+
+function onClearEdits() {
+  if (!sampler?.zone) return;
+  recordEdit('Clear edits');
+  sampler.clearEdits();
+}
+
+function renderEditList() {
+  const edits = sampler?.zone ? sampler.getEdits() : [];
+
+  elements.editList.replaceChildren(...edits.map((edit, index) => createEditEntry(edit, index, edits.length)));
+  elements.addEditBtn.disabled = !sampler?.zone;
+  elements.clearEditsBtn.disabled = edits.length === 0;
+}
+
+function createEditEntry(edit, index, count) {
+  const row = document.createElement('li');
+  row.className = 'edit-entry';
+  row.classList.toggle('bypassed', edit.bypass);
+  row.dataset.id = edit.id;
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = !edit.bypass;
+  enabled.dataset.action = 'bypass';
+  enabled.title = 'On / bypass';
+  enabled.setAttribute('aria-label', `${EDIT_NAMES[edit.type]} on`);
+
+  const name = document.createElement('span');
+  name.className = 'edit-name';
+  name.textContent = `${index + 1}. ${EDIT_NAMES[edit.type]}`;
+
+  const controls = (EDIT_CONTROLS[edit.type] ?? []).map(control => {
+    const label = document.createElement('label');
+    label.className = 'zone-range';
+    label.append(control.label);
+
+    const value = edit.params[control.param];
+    let input;
+    if (control.toggle) {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = value;
+    } else if (control.options) {
+      input = document.createElement('select');
+      for (const [optionValue, optionName] of Object.entries(control.options)) {
+        input.add(new Option(optionName, optionValue, false, optionValue === value));
+      }
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.step = control.step;
+      input.value = value === null ? '' : +(value * (control.scale ?? 1)).toFixed(3);
+      if (control.max !== undefined) input.max = control.max * (control.scale ?? 1);
+      if (control.optional) input.placeholder = 'end';
+    }
+    input.dataset.param = control.param;
+
+    label.append(input);
+    if (control.unit) label.append(control.unit);
+    return label;
+  });
+
+  const actions = document.createElement('span');
+  actions.className = 'edit-actions';
+  const button = (action, text, ariaLabel, disabled = false) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn btn-small';
+    btn.dataset.action = action;
+    btn.textContent = text;
+    btn.disabled = disabled;
+    btn.setAttribute('aria-label', ariaLabel);
+    return btn;
+  };
+  actions.append(
+    button('up', '↑', 'Move up', index === 0),
+    button('down', '↓', 'Move down', index === count - 1),
+    button('remove', '×', `Remove ${EDIT_NAMES[edit.type]}`)
+  );
+
+  row.append(enabled, name, ...controls, actions);
+  return row;
+}
+
+function onEditListChange(e) {
+  const row = e.target.closest('.edit-entry');
+  if (!row || !sampler) return;
+  const id = parseInt(row.dataset.id);
+
+  if (e.target.dataset.action === 'bypass') {
+    recordEdit(e.target.checked ? 'Enable edit' : 'Bypass edit');
+    sampler.setEditBypass(id, !e.target.checked);
+    return;
+  }
+
+  const { param } = e.target.dataset;
+  const edit = sampler.getEdits().find(item => item.id === id);
+  const control = EDIT_CONTROLS[edit?.type]?.find(item => item.param === param);
+  if (!control) return;
+
+  let value = control.toggle ? e.target.checked : e.target.value;
+  if (!control.options && !control.toggle) {
+    const number = parseFloat(value);
+    if (Number.isNaN(number)) {
+      if (!control.optional) {
+        renderEditList(); // Back to the current value
+        return;
+      }
+      value = null;
+    } else {
+      value = number / (control.scale ?? 1);
+      if (control.unit !== 'dB') value = Math.max(0, value);
+      if (control.max !== undefined) value = Math.min(control.max, value);
+    }
+  }
+
+  recordEdit(`${EDIT_NAMES[edit.type]} settings`);
+  sampler.updateEdit(id, { [param]: value });
+}
+
+function onEditListClick(e) {
+  const action = e.target.closest('button')?.dataset.action;
+  const row = e.target.closest('.edit-entry');
+  if (!action || !row || !sampler) return;
+
+  const id = parseInt(row.dataset.id);
+  const index = sampler.getEdits().findIndex(edit => edit.id === id);
+
+  if (action === 'remove') {
+    recordEdit('Remove edit');
+    sampler.removeEdit(id);
+  } else {
+    recordEdit('Move edit');
+    sampler.moveEdit(id, index + (action === 'up' ? -1 : 1));
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// Undo / Redo
+// ─────────────────────────────────────────────────────────
+
+// Call before an edit changes the sampler. Edits with a key (drags, slider
+// moves) join the step before them until history.seal().
+function recordEdit(label, key = null) {
+  history?.record(label, key);
+}
+
+function undoEdit() {
+  const label = history?.undo();
+  if (label) showToast(`Undo: ${label}`);
+}
+
+function redoEdit() {
+  const label = history?.redo();
+  if (label) showToast(`Redo: ${label}`);
+}
+
+// The sampler is back at a snapshot: show it and move the envelope and
+// tempo controls to match (set directly, so no new steps are recorded)
+function restoreEditState(snapshot) {
+  sampler.setEditState(snapshot);
+  if (sampler.zone) onSampleLoaded();
+
+  const { env, tempo } = sampler;
+  elements.attackSlider.value = Math.round(env.attack * 1000);
+  elements.decaySlider.value = Math.round(env.decay * 1000);
+  elements.sustainSlider.value = Math.round(env.sustain * 100);
+  elements.releaseSlider.value = Math.round(env.release * 1000);
+  showEnvelopeValues();
+
+  elements.tempoSyncToggle.checked = tempo.enabled;
+  elements.bpmInput.value = tempo.bpm;
+  elements.bpmSlider.value = Math.min(200, tempo.bpm);
+  elements.noteDivisionSelect.value = tempo.noteDivision;
+  elements.stretchModeSelect.value = tempo.stretchMode;
+  showTempoSyncState(tempo.enabled);
+}
+
+function updateHistoryButtons({ canUndo, canRedo, undoLabel, redoLabel }) {
+  elements.undoBtn.disabled = !canUndo;
+  elements.redoBtn.disabled = !canRedo;
+  elements.undoBtn.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  elements.redoBtn.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+}
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep
+// their own undo.
+function onHistoryKeyDown(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+  const el = document.activeElement;
+  const textEntry = el.tagName === 'TEXTAREA'
+    || (el.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(el.type));
+  if (textEntry) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoEdit();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoEdit();
+  }
+}
+
 // ─────────────────────────────────────────────────────────
 // Recording
 // ─────────────────────────────────────────────────────────
@@ -385,12 +1117,16 @@ async function stopRecording() {
   elements.recordingStatus.textContent = 'Processing...';
 
   const blob = await recorder.stop();
+  const target = state.recordTarget ?? undefined;
+  state.recordTarget = null;
 
   if (blob && blob.size > 0) {
     try {
-      await sampler.loadFromBlob(blob);
+      recordEdit('Load recording');
+      await sampler.loadFromBlob(blob, getLoadOptions(target));
       state.hasRecording = true;
       showToast('Recording loaded successfully!', 'success');
+      addToLibrary(blob, `Recording ${new Date().toLocaleString()}`);
     } catch (err) {
       console.error('Load error:', err);
       showToast('Error processing recording', 'error');
@@ -403,6 +1139,43 @@ async function stopRecording() {
   resetLevelMeter();
 }
 
+async function onLoadFile(e) {
+  const file = e.target.files[0];
+  e.target.value = ''; // Allow loading the same file again
+  if (!file) return;
+
+  await initAudio();
+  showLoading(true);
+
+  try {
+    recordEdit('Load file');
+    await sampler.loadFromBlob(file, getLoadOptions());
+    state.hasRecording = true;
+    showToast(`Loaded ${file.name}`, 'success');
+    addToLibrary(file, file.name.replace(/\.[^.]+$/, ''));
+  } catch (err) {
+    console.error('Load error:', err);
+    showToast('Error loading file', 'error');
+  }
+
+  showLoading(false);
+}
+
+// Record / load into the selected zone, a new zone, or a new take of the selected zone
+function getLoadOptions(target = elements.recordTargetSelect.value) {
+  return { newZone: target === 'new', take: target === 'take' };
+}
+
+// Quick action: start recording straight into another take; the target select
+// is left as it was for the recordings after this one
+async function onRecordTake() {
+  if (state.isRecording || !state.hasRecording) return;
+
+  state.recordTarget = 'take';
+  await toggleRecording();
+  if (!state.isRecording) state.recordTarget = null; // Did not start
+}
+
 function updateRecordingTime() {
   const elapsed = Date.now() - state.recordStartTime;
   const seconds = Math.floor(elapsed / 1000);
@@ -437,24 +1210,43 @@ function resetLevelMeter() {
 // ─────────────────────────────────────────────────────────
 // Sample Loaded Handler
 // ─────────────────────────────────────────────────────────
-function onSampleLoaded({ analysis }) {
+function onSampleLoaded() {
+  state.hasRecording = true;
+  showSelectedZone();
+
+  elements.recordingStatus.textContent = 'Ready to play! Use the keyboard below';
+
+  // Enable export buttons
+  enableExportButtons();
+  elements.seqPlayBtn.disabled = false;
+  updateMidiPlayButton();
+}
+
+// Show the selected zone's sample, analysis and loop in the Sample panel
+function showSelectedZone() {
+  const analysis = sampler.getAnalysis();
+  if (!analysis) return;
+
   // Store sample data
   state.sampleDuration = analysis.duration;
-  state.loopStart = analysis.loopStart;
-  state.loopEnd = analysis.loopEnd;
+  state.loopStart = sampler.loopStart;
+  state.loopEnd = sampler.loopEnd;
+  state.trimStart = sampler.sampleStart;
+  state.trimEnd = sampler.sampleEnd;
   
   // Update info display
-  const noteName = NOTE_NAMES[analysis.rootMidi % 12];
-  const octave = Math.floor(analysis.rootMidi / 12) - 1;
-  
-  elements.rootNote.textContent = `${noteName}${octave}`;
+  elements.rootNote.textContent = midiToNoteName(sampler.rootMidi);
   elements.rootFreq.textContent = analysis.rootHz ? `${analysis.rootHz} Hz` : '—';
   elements.pitchConfidence.textContent = analysis.pitchConfidence 
     ? `${Math.round(analysis.pitchConfidence * 100)}%` 
     : '—';
   elements.duration.textContent = `${analysis.duration.toFixed(2)}s`;
-
-  elements.recordingStatus.textContent = 'Ready to play! Use the keyboard below';
+  elements.vibratoInfo.textContent = analysis.vibrato
+    ? `${analysis.vibrato.rate.toFixed(1)} Hz ±${Math.round(analysis.vibrato.depth)}¢`
+    : analysis.pitchContour ? 'None' : '—';
+  elements.loopModeSelect.value = sampler.loopMode;
+  elements.loopModeSelect.disabled = false;
+  updateLoopModeUI();
 
   // Resize canvas and draw waveform (ensures proper dimensions)
   resizeCanvases();
@@ -463,11 +1255,201 @@ function onSampleLoaded({ analysis }) {
   elements.loopRegion.classList.add('active');
   elements.loopStartHandle.classList.add('active');
   elements.loopEndHandle.classList.add('active');
+  setTrimHandlesActive(true);
 
   updateLoopUI();
+  updateTrimUI();
+  renderEditList();
+}
 
-  // Enable export buttons
-  enableExportButtons();
+function setTrimHandlesActive(active) {
+  [elements.trimStartShade, elements.trimEndShade, elements.trimStartHandle, elements.trimEndHandle]
+    .forEach(el => el.classList.toggle('active', active));
+}
+
+// Reset the Sample panel once the last zone is gone
+function clearSampleDisplay() {
+  state.hasRecording = false;
+
+  elements.loopRegion.classList.remove('active');
+  elements.loopStartHandle.classList.remove('active');
+  elements.loopEndHandle.classList.remove('active');
+  setTrimHandlesActive(false);
+  renderEditList();
+
+  elements.rootNote.textContent = '--';
+  elements.rootFreq.textContent = '--';
+  elements.pitchConfidence.textContent = '--';
+  elements.duration.textContent = '--';
+  elements.vibratoInfo.textContent = '--';
+  elements.rootFromFile.hidden = true;
+  elements.loopFromFile.hidden = true;
+  updateLoopCandidateUI();
+  elements.loopModeSelect.disabled = true;
+  elements.recordingStatus.textContent = 'Ready';
+
+  elements.perfRecordBtn.disabled = true;
+  elements.exportSampleWav.disabled = true;
+  elements.exportSampleWebm.disabled = true;
+  elements.exportInstrumentBtn.disabled = true;
+  elements.saveProjectBtn.disabled = true;
+  elements.playSampleBtn.disabled = true;
+
+  sequencer?.stop();
+  elements.seqPlayBtn.disabled = true;
+  midiPlayer?.stop();
+  updateMidiPlayButton();
+
+  drawWaveform();
+}
+
+// ─────────────────────────────────────────────────────────
+// Zone Map
+// ─────────────────────────────────────────────────────────
+function onZonesChange() {
+  drawZoneMap();
+  updateZoneEditor();
+}
+
+function onZoneSelect({ zoneId }) {
+  if (zoneId === null) {
+    clearSampleDisplay();
+    return;
+  }
+  showSelectedZone();
+}
+
+function drawZoneMap() {
+  const canvas = elements.zoneMapCanvas;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+
+  // Clear - dark background
+  ctx.fillStyle = '#0d0d0d';
+  ctx.fillRect(0, 0, width, height);
+
+  const keyWidth = width / 128;
+  const toY = (vel) => (1 - vel / 128) * height;
+
+  // Octave lines at every C
+  ctx.fillStyle = '#222';
+  for (let note = 0; note < 128; note += 12) {
+    ctx.fillRect(Math.floor(note * keyWidth), 0, 1, height);
+  }
+
+  // Range shown on the virtual keyboard
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+  ctx.fillRect(getMidiNote(0) * keyWidth, 0, 13 * keyWidth, height);
+
+  if (!sampler) return;
+
+  // Draw the selected zone last so it stays on top
+  const zones = sampler.getZones().sort((a, b) => a.selected - b.selected);
+
+  ctx.font = '9px sans-serif';
+  zones.forEach(zone => {
+    const x = zone.lowKey * keyWidth;
+    const w = (zone.highKey - zone.lowKey + 1) * keyWidth;
+    const y = toY(zone.highVel + 1);
+    const h = toY(zone.lowVel) - y;
+    const color = zone.selected ? '#e87a1a' : '#4a9eff';
+
+    ctx.fillStyle = zone.selected ? 'rgba(232, 122, 26, 0.25)' : 'rgba(74, 158, 255, 0.2)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+
+    // Root key marker
+    ctx.fillStyle = color;
+    ctx.fillRect((zone.rootMidi + 0.5) * keyWidth - 1, y, 2, h);
+
+    if (w > 28) {
+      const label = zone.takes > 1
+        ? `${midiToNoteName(zone.rootMidi)} ×${zone.takes}`
+        : midiToNoteName(zone.rootMidi);
+      ctx.fillStyle = '#e0e0e0';
+      ctx.fillText(label, x + 3, y + 10);
+    }
+  });
+}
+
+function onZoneMapClick(e) {
+  if (!sampler) return;
+
+  const rect = elements.zoneMapCanvas.getBoundingClientRect();
+  const key = Math.floor(((e.clientX - rect.left) / rect.width) * 128);
+  const vel = Math.floor((1 - (e.clientY - rect.top) / rect.height) * 128);
+
+  const hits = sampler.getZones().filter(z =>
+    key >= z.lowKey && key <= z.highKey && vel >= z.lowVel && vel <= z.highVel
+  );
+  if (hits.length === 0) return;
+
+  // Repeated clicks cycle through overlapping zones
+  const current = hits.findIndex(z => z.selected);
+  sampler.selectZone(hits[(current + 1) % hits.length].id);
+}
+
+function updateZoneEditor() {
+  const zone = sampler?.getZones().find(z => z.selected);
+  const controls = [
+    elements.zoneLowKey, elements.zoneHighKey,
+    elements.zoneLowVel, elements.zoneHighVel,
+    elements.autoMapZonesBtn, elements.deleteZoneBtn
+  ];
+  controls.forEach(el => { el.disabled = !zone; });
+  elements.recordTakeBtn.disabled = !zone;
+
+  if (!zone) {
+    elements.zoneName.textContent = '--';
+    elements.zoneTakes.hidden = true;
+    return;
+  }
+
+  elements.zoneTakes.hidden = zone.takes < 2;
+  elements.zoneTakeCount.textContent = zone.takes;
+  elements.zoneGroupModeSelect.value = zone.groupMode;
+
+  elements.zoneName.textContent = `${zone.name} · ${midiToNoteName(zone.rootMidi)}`;
+  elements.zoneLowKey.value = zone.lowKey;
+  elements.zoneHighKey.value = zone.highKey;
+  elements.zoneLowVel.value = zone.lowVel;
+  elements.zoneHighVel.value = zone.highVel;
+  elements.zoneLowKey.title = midiToNoteName(zone.lowKey);
+  elements.zoneHighKey.title = midiToNoteName(zone.highKey);
+}
+
+function onZoneRangeChange() {
+  if (!sampler?.zone) return;
+
+  recordEdit('Zone range');
+  sampler.setZoneRange(sampler.zone.id, {
+    lowKey: parseInt(elements.zoneLowKey.value) || 0,
+    highKey: parseInt(elements.zoneHighKey.value) || 0,
+    lowVel: parseInt(elements.zoneLowVel.value) || 0,
+    highVel: parseInt(elements.zoneHighVel.value) || 0
+  });
+}
+
+function onGroupModeChange() {
+  if (!sampler?.zone) return;
+  recordEdit('Take order');
+  sampler.setGroupMode(sampler.zone.id, elements.zoneGroupModeSelect.value);
+}
+
+function onAutoMapZones() {
+  if (!sampler) return;
+  recordEdit('Auto-map zones');
+  sampler.autoMapZones();
+}
+
+function onDeleteZone() {
+  if (!sampler?.zone) return;
+
+  recordEdit('Delete zone');
+  sampler.removeZone(sampler.zone.id);
+  showToast('Zone deleted', 'success');
 }
 
 // ─────────────────────────────────────────────────────────
@@ -502,6 +1484,60 @@ function drawWaveform() {
     const amp = waveform[i] * centerY * 0.9;
     ctx.fillRect(i, centerY - amp, 1, amp * 2);
   }
+
+  if (elements.pitchOverlayToggle.checked) {
+    drawPitchOverlay(ctx, width, height);
+  }
+}
+
+// Cents above/below the root at the waveform's top/bottom edge
+const PITCH_OVERLAY_RANGE = 100;
+
+// Pitch contour as cents from the root note (center line), brighter where
+// detection is confident; stable segments are marked along the top edge
+function drawPitchOverlay(ctx, width, height) {
+  const analysis = sampler.getAnalysis();
+  const contour = analysis?.pitchContour;
+  if (!contour) return;
+
+  const rootHz = 440 * Math.pow(2, (sampler.rootMidi - 69) / 12);
+  const toX = (time) => (time / state.sampleDuration) * width;
+  const toY = (cents) => {
+    const clamped = Math.max(-PITCH_OVERLAY_RANGE, Math.min(PITCH_OVERLAY_RANGE, cents));
+    return height / 2 - (clamped / PITCH_OVERLAY_RANGE) * (height / 2 - 4);
+  };
+
+  // ±50 cent guides
+  ctx.strokeStyle = 'rgba(232, 122, 26, 0.2)';
+  ctx.setLineDash([2, 4]);
+  ctx.beginPath();
+  for (const cents of [-50, 50]) {
+    ctx.moveTo(0, toY(cents));
+    ctx.lineTo(width, toY(cents));
+  }
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = '#4caf50';
+  for (const segment of analysis.stableSegments ?? []) {
+    ctx.fillRect(toX(segment.start), 0, toX(segment.end) - toX(segment.start), 3);
+  }
+
+  // One stroke per step between voiced frames, faded by confidence
+  ctx.strokeStyle = '#e87a1a';
+  ctx.lineWidth = 1.5;
+  for (let i = 1; i < contour.hz.length; i++) {
+    const [prev, hz] = [contour.hz[i - 1], contour.hz[i]];
+    if (prev === null || hz === null) continue;
+
+    ctx.globalAlpha = Math.min(contour.confidence[i - 1], contour.confidence[i]);
+    ctx.beginPath();
+    ctx.moveTo(toX(contour.times[i - 1]), toY(1200 * Math.log2(prev / rootHz)));
+    ctx.lineTo(toX(contour.times[i]), toY(1200 * Math.log2(hz / rootHz)));
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 1;
 }
 
 function resizeCanvases() {
@@ -516,11 +1552,26 @@ function resizeCanvases() {
     updateLoopUI();
   }
 
+  // Zone map canvas
+  const zoneMapContainer = elements.zoneMapCanvas.parentElement;
+  elements.zoneMapCanvas.width = zoneMapContainer.offsetWidth;
+  elements.zoneMapCanvas.height = zoneMapContainer.offsetHeight;
+  drawZoneMap();
+
   // Envelope canvas
   const envContainer = elements.envelopeCanvas.parentElement;
   elements.envelopeCanvas.width = envContainer.offsetWidth;
   elements.envelopeCanvas.height = envContainer.offsetHeight;
   drawEnvelopeViz();
+
+  // Filter envelope canvas
+  const filterEnvContainer = elements.filterEnvelopeCanvas.parentElement;
+  elements.filterEnvelopeCanvas.width = filterEnvContainer.offsetWidth;
+  elements.filterEnvelopeCanvas.height = filterEnvContainer.offsetHeight;
+  drawFilterEnvelopeViz();
+
+  // Sequencer grid
+  resizeSequencerCanvas();
 }
 
 // ─────────────────────────────────────────────────────────
@@ -561,13 +1612,24 @@ function buildKeyboard() {
   });
 }
 
+function midiToNoteName(midi) {
+  return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
 function getMidiNote(relativeNote) {
   return (state.currentOctave + 1) * 12 + relativeNote;
 }
 
+// Key element for an absolute MIDI note, or null when outside the visible octave
+function getKeyElement(midiNote) {
+  const relativeNote = midiNote - getMidiNote(0);
+  return elements.keyboard.querySelector(`[data-note="${relativeNote}"]`);
+}
+
 function changeOctave(delta) {
   state.currentOctave = Math.max(1, Math.min(7, state.currentOctave + delta));
   updateOctaveDisplay();
+  drawZoneMap();
 }
 
 function updateOctaveDisplay() {
@@ -599,7 +1661,7 @@ function onKeyUp(e) {
 }
 
 function onComputerKeyDown(e) {
-  if (e.repeat) return;
+  if (e.repeat || e.ctrlKey || e.metaKey) return; // Shortcuts such as Ctrl+Y
   if (document.activeElement.tagName === 'INPUT' || 
       document.activeElement.tagName === 'SELECT') return;
 
@@ -624,63 +1686,191 @@ function onComputerKeyUp(e) {
   stopNote(midiNote, keyEl);
 }
 
-function playNote(midiNote, keyEl) {
+function playNote(midiNote, keyEl, velocity = 0.9) {
   if (!sampler || !state.hasRecording) return;
 
-  sampler.noteOn(midiNote, 0.9);
+  if (arpeggiator?.enabled) {
+    arpeggiator.noteOn(midiNote, velocity);
+  } else {
+    sampler.noteOn(midiNote, velocity);
+  }
   keyEl?.classList.add('active');
 }
 
 function stopNote(midiNote, keyEl) {
   if (!sampler) return;
 
-  sampler.noteOff(midiNote);
+  if (arpeggiator?.enabled) {
+    arpeggiator.noteOff(midiNote);
+  } else {
+    sampler.noteOff(midiNote);
+  }
   keyEl?.classList.remove('active');
 }
 
 // ─────────────────────────────────────────────────────────
-// Play Sample Preview
+// MIDI Input
 // ─────────────────────────────────────────────────────────
-let samplePreviewPlaying = false;
-
-function onPlaySampleClick() {
-  if (!sampler || !state.hasRecording) return;
+async function initMidi() {
+  if (!MidiInput.isSupported()) {
+    disableMidiControls();
+    return;
+  }
 
-  initAudio();
+  midiInput = new MidiInput();
+  midiInput.on('devicesChange', updateMidiDeviceList);
+  midiInput.on('noteOn', onMidiNoteOn);
+  midiInput.on('noteOff', onMidiNoteOff);
+  midiInput.on('pitchBend', onMidiPitchBend);
+  midiInput.on('controlChange', onMidiControlChange);
 
-  if (samplePreviewPlaying) {
-    // Stop playing - use the root note to stop
-    sampler.noteOff(sampler.rootMidi);
-    samplePreviewPlaying = false;
-    elements.playSampleBtn.classList.remove('playing');
-  } else {
-    // Play at root pitch (no pitch shift)
-    sampler.noteOn(sampler.rootMidi, 0.9);
-    samplePreviewPlaying = true;
-    elements.playSampleBtn.classList.add('playing');
+  try {
+    await midiInput.init();
+  } catch (err) {
+    console.error('MIDI error:', err);
+    disableMidiControls();
+  }
+}
+
+function disableMidiControls() {
+  elements.midiDeviceSelect.disabled = true;
+  elements.midiChannelSelect.disabled = true;
+  elements.midiDeviceSelect.title = 'Web MIDI not available';
+}
+
+function updateMidiDeviceList({ devices }) {
+  const select = elements.midiDeviceSelect;
+  const current = select.value;
+
+  // Keep the fixed Off / All entries, rebuild the device entries
+  while (select.options.length > 2) {
+    select.remove(2);
+  }
+
+  devices.forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+
+  select.value = [...select.options].some(o => o.value === current)
+    ? current
+    : MidiInput.ALL_DEVICES;
+  midiInput.selectDevice(select.value);
+}
+
+function onMidiDeviceChange() {
+  if (!midiInput) return;
+
+  const deviceId = elements.midiDeviceSelect.value;
+  midiInput.selectDevice(deviceId);
+
+  // Show the channel filter stored for this device
+  elements.midiChannelSelect.value = midiInput.getChannel(deviceId) ?? 'all';
+}
+
+function onMidiChannelChange() {
+  if (!midiInput) return;
+  midiInput.setChannel(elements.midiDeviceSelect.value, elements.midiChannelSelect.value);
+}
+
+function onMidiNoteOn({ note, velocity }) {
+  initAudio();
+  playNote(note, getKeyElement(note), velocity);
+}
+
+function onMidiNoteOff({ note }) {
+  stopNote(note, getKeyElement(note));
+}
 
+function onMidiPitchBend({ value }) {
+  sampler?.setPitchBend(value);
+}
+
+function onMidiControlChange({ controller, value }) {
+  if (!sampler) return;
+
+  switch (controller) {
+    case MidiInput.CC.MOD_WHEEL:
+      sampler.setModWheel(value);
+      break;
+    case MidiInput.CC.SUSTAIN:
+      sampler.setSustainPedal(value >= 0.5);
+      break;
+    case MidiInput.CC.ALL_NOTES_OFF:
+      arpeggiator?.releaseAll();
+      sampler.panic();
+      $$('.key.active').forEach(key => key.classList.remove('active'));
+      break;
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// Play Sample Preview
+// ─────────────────────────────────────────────────────────
+let samplePreviewPlaying = false;
+let samplePreviewTimer = null;
+
+function onPlaySampleClick() {
+  if (!sampler || !state.hasRecording) return;
+
+  initAudio();
+
+  if (samplePreviewPlaying) {
+    stopSamplePreview();
+  } else {
     // Auto-stop after a reasonable time (loop duration * 3 or 5 seconds max)
-    const duration = Math.min((state.loopEnd - state.loopStart) * 3, 5);
-    setTimeout(() => {
-      if (samplePreviewPlaying) {
-        sampler.noteOff(sampler.rootMidi);
-        samplePreviewPlaying = false;
-        elements.playSampleBtn.classList.remove('playing');
-      }
-    }, duration * 1000);
+    startSamplePreview(Math.min((state.loopEnd - state.loopStart) * 3, 5));
   }
 }
 
+// Seconds played before the loop when auditioning
+const AUDITION_PRE_ROLL = 1;
+
+// From just before the loop through four passes, so the seam is heard
+// repeatedly however far into a long sample the loop sits
+function auditionLoop() {
+  if (!sampler || !state.hasRecording) return;
+
+  initAudio();
+  stopSamplePreview();
+
+  const from = Math.max(state.trimStart, state.loopStart - AUDITION_PRE_ROLL);
+  startSamplePreview((state.loopStart - from) + (state.loopEnd - state.loopStart) * 4, { from });
+}
+
+// Play the selected zone at root pitch (no pitch shift), whatever else maps to the key
+function startSamplePreview(duration, options = {}) {
+  sampler.noteOn(sampler.rootMidi, 0.9, { ...options, zone: sampler.zone });
+  samplePreviewPlaying = true;
+  elements.playSampleBtn.classList.add('playing');
+  samplePreviewTimer = setTimeout(stopSamplePreview, duration * 1000);
+}
+
+function stopSamplePreview() {
+  clearTimeout(samplePreviewTimer);
+  if (!samplePreviewPlaying) return;
+
+  sampler.noteOff(sampler.rootMidi, { record: false });
+  samplePreviewPlaying = false;
+  elements.playSampleBtn.classList.remove('playing');
+}
+
 // ─────────────────────────────────────────────────────────
 // Envelope Controls
 // ─────────────────────────────────────────────────────────
 function onEnvelopeChange() {
+  showEnvelopeValues();
+  recordEdit('Envelope', 'envelope');
+  updateEnvelope();
+}
+
+function showEnvelopeValues() {
   elements.attackValue.textContent = elements.attackSlider.value;
   elements.decayValue.textContent = elements.decaySlider.value;
   elements.sustainValue.textContent = elements.sustainSlider.value;
   elements.releaseValue.textContent = elements.releaseSlider.value;
-
-  updateEnvelope();
   drawEnvelopeViz();
 }
 
@@ -696,7 +1886,17 @@ function updateEnvelope() {
 }
 
 function drawEnvelopeViz() {
-  const canvas = elements.envelopeCanvas;
+  drawAdsr(elements.envelopeCanvas, {
+    attack: parseInt(elements.attackSlider.value),
+    decay: parseInt(elements.decaySlider.value),
+    sustain: parseInt(elements.sustainSlider.value) / 100,
+    release: parseInt(elements.releaseSlider.value)
+  });
+}
+
+// ADSR curve (times in ms, sustain 0-1) with a fixed 150ms hold for the sustain stage.
+// `scale` shrinks the curve (filter envelope amount); negative amounts hang down from the top.
+function drawAdsr(canvas, { attack, decay, sustain, release }, scale = 1) {
   const ctx = canvas.getContext('2d');
   const { width, height } = canvas;
 
@@ -704,18 +1904,14 @@ function drawEnvelopeViz() {
   ctx.fillStyle = '#0d0d0d';
   ctx.fillRect(0, 0, width, height);
 
-  const attack = parseInt(elements.attackSlider.value);
-  const decay = parseInt(elements.decaySlider.value);
-  const sustain = parseInt(elements.sustainSlider.value) / 100;
-  const release = parseInt(elements.releaseSlider.value);
-
   const total = attack + decay + 150 + release;
   const padding = 8;
   const drawWidth = width - padding * 2;
   const drawHeight = height - padding * 2;
 
   const toX = (ms) => padding + (ms / total) * drawWidth;
-  const toY = (level) => padding + (1 - level) * drawHeight;
+  const base = scale < 0 ? 1 : 0;
+  const toY = (level) => padding + (1 - (base + level * scale)) * drawHeight;
 
   // Fill area
   ctx.beginPath();
@@ -724,8 +1920,8 @@ function drawEnvelopeViz() {
   ctx.lineTo(toX(attack + decay), toY(sustain));
   ctx.lineTo(toX(attack + decay + 150), toY(sustain));
   ctx.lineTo(toX(total), toY(0));
-  ctx.lineTo(toX(total), height);
-  ctx.lineTo(toX(0), height);
+  ctx.lineTo(toX(total), base ? 0 : height);
+  ctx.lineTo(toX(0), base ? 0 : height);
   ctx.closePath();
   ctx.fillStyle = 'rgba(232, 122, 26, 0.15)';
   ctx.fill();
@@ -742,12 +1938,130 @@ function drawEnvelopeViz() {
   ctx.stroke();
 }
 
+// ─────────────────────────────────────────────────────────
+// Filter / Mod Controls
+// ─────────────────────────────────────────────────────────
+
+// Slider positions to engine units
+const sliderToCutoff = (value) => 20 * Math.pow(1000, value / 100); // 20 Hz - 20 kHz
+const sliderToResonance = (value) => value / 10;                    // Q 0.1 - 20
+const sliderToEnvAmount = (value) => value / 12;                    // Octaves
+const sliderToLfoRate = (value) => value / 10;                      // 0.1 - 20 Hz
+
+// Full-scale LFO depth per target, in engine units
+const LFO_DEPTH_RANGE = { pitch: 1200, cutoff: 4800, amp: 1, pan: 1 };
+
+function onFilterChange() {
+  const cutoff = sliderToCutoff(parseInt(elements.cutoffSlider.value));
+  const envAmount = sliderToEnvAmount(parseInt(elements.filterEnvAmount.value));
+
+  elements.cutoffSlider.title = cutoff >= 1000 ? `${(cutoff / 1000).toFixed(1)} kHz` : `${Math.round(cutoff)} Hz`;
+  elements.resonanceSlider.title = `Q ${sliderToResonance(parseInt(elements.resonanceSlider.value)).toFixed(1)}`;
+  elements.filterEnvAmount.title = `${envAmount > 0 ? '+' : ''}${envAmount.toFixed(1)} oct`;
+
+  updateFilter();
+  drawFilterEnvelopeViz();
+}
+
+function updateFilter() {
+  if (!sampler) return;
+
+  const type = elements.filterTypeSelect.value;
+  sampler.setFilter({
+    enabled: type !== 'off',
+    type: type === 'off' ? sampler.filter.type : type,
+    cutoff: sliderToCutoff(parseInt(elements.cutoffSlider.value)),
+    resonance: sliderToResonance(parseInt(elements.resonanceSlider.value)),
+    envAmount: sliderToEnvAmount(parseInt(elements.filterEnvAmount.value))
+  });
+}
+
+function onFilterEnvelopeChange() {
+  elements.filterAttackValue.textContent = elements.filterAttackSlider.value;
+  elements.filterDecayValue.textContent = elements.filterDecaySlider.value;
+  elements.filterSustainValue.textContent = elements.filterSustainSlider.value;
+  elements.filterReleaseValue.textContent = elements.filterReleaseSlider.value;
+
+  updateFilterEnvelope();
+  drawFilterEnvelopeViz();
+}
+
+function updateFilterEnvelope() {
+  if (!sampler) return;
+
+  sampler.setFilterEnvelope({
+    attack: parseInt(elements.filterAttackSlider.value) / 1000,
+    decay: parseInt(elements.filterDecaySlider.value) / 1000,
+    sustain: parseInt(elements.filterSustainSlider.value) / 100,
+    release: parseInt(elements.filterReleaseSlider.value) / 1000
+  });
+}
+
+// Same curve as the amp envelope, scaled by the envelope amount
+function drawFilterEnvelopeViz() {
+  const amount = parseInt(elements.filterEnvAmount.value) / 48;
+  const enabled = elements.filterTypeSelect.value !== 'off';
+
+  drawAdsr(elements.filterEnvelopeCanvas, {
+    attack: parseInt(elements.filterAttackSlider.value),
+    decay: parseInt(elements.filterDecaySlider.value),
+    sustain: parseInt(elements.filterSustainSlider.value) / 100,
+    release: parseInt(elements.filterReleaseSlider.value)
+  }, enabled ? amount : 0);
+}
+
+function onLfoChange(index) {
+  const controls = elements.lfoControls[index];
+  controls.rate.title = `${sliderToLfoRate(parseInt(controls.rate.value)).toFixed(1)} Hz`;
+  updateLfo(index);
+}
+
+function updateLfo(index) {
+  if (!sampler) return;
+
+  const controls = elements.lfoControls[index];
+  const depths = {};
+  for (const [target, range] of Object.entries(LFO_DEPTH_RANGE)) {
+    depths[target] = (parseInt(controls[target].value) / 100) * range;
+  }
+
+  sampler.setLfo(index, {
+    shape: controls.shape.value,
+    rate: sliderToLfoRate(parseInt(controls.rate.value)),
+    depths
+  });
+}
+
 // ─────────────────────────────────────────────────────────
 // Settings
 // ─────────────────────────────────────────────────────────
 function onPolyphonyChange() {
+  const mono = elements.polyphonySelect.value === 'mono';
+  elements.glideSlider.disabled = !mono;
+  elements.notePrioritySelect.disabled = !mono;
+
+  if (!sampler) return;
+  sampler.setVoiceMode(mono ? 'mono' : 'poly');
+  sampler.config.maxPolyphony = getMaxPolyphony();
+}
+
+// Mono keeps a few voices so release tails can overlap the next note
+function getMaxPolyphony() {
+  const value = elements.polyphonySelect.value;
+  return value === 'mono' ? 4 : parseInt(value);
+}
+
+function onGlideChange() {
+  const ms = parseInt(elements.glideSlider.value);
+  elements.glideSlider.title = `${ms} ms`;
+
+  if (!sampler) return;
+  sampler.setGlide(ms / 1000);
+}
+
+function onNotePriorityChange() {
   if (!sampler) return;
-  sampler.config.maxPolyphony = parseInt(elements.polyphonySelect.value);
+  sampler.setNotePriority(elements.notePrioritySelect.value);
 }
 
 function onNormalizeChange() {
@@ -760,18 +2074,35 @@ function onVolumeChange() {
   sampler.output.gain.value = elements.volumeSlider.value / 100;
 }
 
+function onPitchModeChange() {
+  const formant = elements.pitchModeSelect.value === 'formant';
+  elements.formantSlider.disabled = !formant;
+
+  if (!sampler) return;
+  sampler.setPitchMode(elements.pitchModeSelect.value);
+}
+
+function onFormantShiftChange() {
+  const semitones = parseInt(elements.formantSlider.value);
+  elements.formantSlider.title = `${semitones > 0 ? '+' : ''}${semitones} st`;
+
+  if (!sampler) return;
+  sampler.setFormantShift(semitones);
+}
+
 function onRootNoteChange() {
   if (!sampler || !state.hasRecording) return;
 
   const value = elements.rootNoteSelect.value;
   if (value !== 'auto') {
+    recordEdit('Root note');
     sampler.setRootNote(parseInt(value));
 
     // Update display
-    const midi = parseInt(value);
-    const noteName = NOTE_NAMES[midi % 12];
-    const octave = Math.floor(midi / 12) - 1;
-    elements.rootNote.textContent = `${noteName}${octave}`;
+    elements.rootNote.textContent = midiToNoteName(parseInt(value));
+    updateFromFileBadges();
+    onZonesChange();
+    drawWaveform(); // Pitch overlay is relative to the root
   }
 }
 
@@ -782,10 +2113,14 @@ function onTempoSyncChange() {
   if (!sampler) return;
 
   const enabled = elements.tempoSyncToggle.checked;
+  recordEdit('Tempo sync');
   sampler.setTempoSync(enabled);
+  showTempoSyncState(enabled);
+}
 
-  // Visual feedback - dim controls when disabled
-  const tempoControls = document.querySelector('.tempo-controls');
+// Visual feedback - dim controls when disabled
+function showTempoSyncState(enabled) {
+  const tempoControls = document.querySelector('.tempo-sync-controls');
   if (tempoControls) {
     tempoControls.classList.toggle('disabled', !enabled);
   }
@@ -798,6 +2133,7 @@ function onBpmChange() {
   elements.bpmInput.value = bpm;
 
   if (sampler) {
+    recordEdit('Tempo', 'bpm');
     sampler.setTempo(bpm);
   }
 
@@ -812,6 +2148,7 @@ function onBpmInputChange() {
   elements.bpmSlider.value = Math.min(200, bpm); // Slider max is 200
 
   if (sampler) {
+    recordEdit('Tempo');
     sampler.setTempo(bpm);
   }
 
@@ -822,12 +2159,601 @@ function onNoteDivisionChange() {
   const division = parseFloat(elements.noteDivisionSelect.value);
 
   if (sampler) {
+    recordEdit('Note division');
     sampler.setNoteDivision(division);
   }
 
   updateTempoDurationDisplay();
 }
 
+function onStretchModeChange() {
+  if (sampler) {
+    recordEdit('Stretch mode');
+    sampler.setStretchMode(elements.stretchModeSelect.value);
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// Sequencer
+// ─────────────────────────────────────────────────────────
+const SEQ_STORAGE_KEY = 'voiceSampler.sequencer';
+const SEQ_LABEL_WIDTH = 36;
+const SEQ_LANE_HEIGHT = 14;
+
+function initSequencer() {
+  sequencer = new StepSequencer(sampler);
+
+  // Restore saved patterns
+  try {
+    const saved = localStorage.getItem(SEQ_STORAGE_KEY);
+    if (saved) sequencer.load(JSON.parse(saved));
+  } catch (e) {
+    console.warn('Could not restore saved patterns:', e);
+  }
+
+  sequencer.on('patternsChange', onSequencerPatternsChange);
+  sequencer.on('patternChange', resizeSequencerCanvas);
+  sequencer.on('chainChange', ({ chain }) => {
+    elements.seqChainInput.value = chain.join(' ');
+  });
+  sequencer.on('step', onSequencerStep);
+  // Any stop (button, cleared sample, opened project) resets the playhead and button
+  sequencer.on('stop', () => {
+    state.seqPlayhead = null;
+    drawSequencer();
+    updateSequencerPlayButton();
+  });
+
+  elements.seqChainInput.value = sequencer.chain.join(' ');
+  onSequencerPatternsChange();
+}
+
+function buildLaneNoteOptions() {
+  for (let midi = 24; midi <= 96; midi++) {
+    const option = document.createElement('option');
+    option.value = midi;
+    option.textContent = midiToNoteName(midi);
+    option.selected = midi === 60;
+    elements.seqLaneNoteSelect.appendChild(option);
+  }
+}
+
+function onSequencerPatternsChange() {
+  const pattern = sequencer.getPattern();
+
+  elements.seqPatternSelect.innerHTML = '';
+  for (const p of sequencer.getPatterns()) {
+    const option = document.createElement('option');
+    option.value = p.id;
+    option.textContent = p.name;
+    option.selected = p.selected;
+    elements.seqPatternSelect.appendChild(option);
+  }
+
+  elements.seqLengthSelect.value = pattern.length;
+  elements.seqDivisionSelect.value = pattern.division;
+  elements.seqDeletePatternBtn.disabled = sequencer.patterns.length <= 1;
+
+  state.seqSelection = null;
+  state.seqSelectedLane = null;
+  updateStepEditor();
+  resizeSequencerCanvas();
+}
+
+// One row per lane; the canvas keeps the container's width
+function resizeSequencerCanvas() {
+  const canvas = elements.sequencerCanvas;
+  const lanes = sequencer?.getPattern().lanes.length ?? StepSequencer.DEFAULT_LANES.length;
+
+  canvas.width = canvas.parentElement.offsetWidth;
+  canvas.height = lanes * SEQ_LANE_HEIGHT;
+  drawSequencer();
+}
+
+function drawSequencer() {
+  const canvas = elements.sequencerCanvas;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+
+  // Clear - dark background
+  ctx.fillStyle = '#0d0d0d';
+  ctx.fillRect(0, 0, width, height);
+
+  // Before audio starts, show the default empty grid
+  const pattern = sequencer?.getPattern() ?? {
+    id: null,
+    length: StepSequencer.MIN_STEPS,
+    lanes: StepSequencer.DEFAULT_LANES.map(note => ({ note, steps: [] }))
+  };
+  const cellWidth = (width - SEQ_LABEL_WIDTH) / pattern.length;
+  const toX = (step) => SEQ_LABEL_WIDTH + step * cellWidth;
+
+  // Playhead column
+  if (state.seqPlayhead?.patternId === pattern.id) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.fillRect(toX(state.seqPlayhead.step), 0, cellWidth, height);
+  }
+
+  // Step lines, brighter on every beat
+  for (let step = 0; step <= pattern.length; step++) {
+    ctx.fillStyle = step % 4 === 0 ? '#333' : '#1c1c1c';
+    ctx.fillRect(Math.floor(toX(step)), 0, 1, height);
+  }
+
+  ctx.font = '9px sans-serif';
+  pattern.lanes.forEach((lane, i) => {
+    const y = i * SEQ_LANE_HEIGHT;
+    const isBlack = [1, 3, 6, 8, 10].includes(lane.note % 12);
+
+    // Row label
+    ctx.fillStyle = i === state.seqSelectedLane ? 'rgba(232, 122, 26, 0.25)' : (isBlack ? '#141414' : '#1c1c1c');
+    ctx.fillRect(0, y, SEQ_LABEL_WIDTH - 1, SEQ_LANE_HEIGHT - 1);
+    ctx.fillStyle = '#a0a0a0';
+    ctx.fillText(midiToNoteName(lane.note), 4, y + 10);
+
+    ctx.fillStyle = '#1c1c1c';
+    ctx.fillRect(SEQ_LABEL_WIDTH, y + SEQ_LANE_HEIGHT - 1, width - SEQ_LABEL_WIDTH, 1);
+
+    // Steps: brightness is velocity, width is length; ties run into the next cell
+    lane.steps.forEach((cell, step) => {
+      if (!cell) return;
+
+      const x = toX(step) + 1;
+      const w = cell.tie ? cellWidth : Math.max(2, (cellWidth - 2) * cell.length);
+      ctx.fillStyle = `rgba(232, 122, 26, ${0.3 + 0.7 * cell.velocity})`;
+      ctx.fillRect(x, y + 2, w, SEQ_LANE_HEIGHT - 5);
+    });
+  });
+
+  // Selected step
+  const sel = state.seqSelection;
+  if (sel) {
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(toX(sel.step) + 0.5, sel.lane * SEQ_LANE_HEIGHT + 0.5, cellWidth - 1, SEQ_LANE_HEIGHT - 2);
+  }
+}
+
+function onSequencerClick(e) {
+  initAudio();
+
+  const rect = elements.sequencerCanvas.getBoundingClientRect();
+  const pattern = sequencer.getPattern();
+  const x = (e.clientX - rect.left) * (elements.sequencerCanvas.width / rect.width);
+  const lane = Math.floor((e.clientY - rect.top) / rect.height * pattern.lanes.length);
+  if (lane < 0 || lane >= pattern.lanes.length) return;
+
+  state.seqSelectedLane = lane;
+
+  // Row label selects the row only
+  if (x < SEQ_LABEL_WIDTH) {
+    state.seqSelection = null;
+    updateStepEditor();
+    drawSequencer();
+    return;
+  }
+
+  const cellWidth = (elements.sequencerCanvas.width - SEQ_LABEL_WIDTH) / pattern.length;
+  const step = Math.min(pattern.length - 1, Math.floor((x - SEQ_LABEL_WIDTH) / cellWidth));
+  const cell = sequencer.getStep(pattern.id, lane, step);
+  const isSelected = state.seqSelection?.lane === lane && state.seqSelection?.step === step;
+
+  if (cell && e.shiftKey) {
+    state.seqSelection = { lane, step };
+    sequencer.setStep(pattern.id, lane, step, { ...cell, tie: !cell.tie });
+  } else if (!cell) {
+    state.seqSelection = { lane, step };
+    sequencer.setStep(pattern.id, lane, step, {
+      velocity: parseInt(elements.seqVelocity.value) / 127,
+      length: parseInt(elements.seqStepLength.value) / 100
+    });
+  } else if (isSelected) {
+    state.seqSelection = null;
+    sequencer.setStep(pattern.id, lane, step, null);
+  } else {
+    state.seqSelection = { lane, step };
+    drawSequencer();
+  }
+
+  updateStepEditor();
+}
+
+// Step editor follows the selected step; its values are also used for new steps
+function updateStepEditor() {
+  const sel = state.seqSelection;
+  const pattern = sequencer?.getPattern();
+  const cell = sel && pattern ? sequencer.getStep(pattern.id, sel.lane, sel.step) : null;
+
+  elements.seqTie.disabled = !cell;
+  elements.seqVelocity.disabled = !sequencer;
+  elements.seqStepLength.disabled = !sequencer;
+  elements.seqRemoveLaneBtn.disabled = state.seqSelectedLane === null || pattern.lanes.length <= 1;
+
+  if (cell) {
+    elements.seqStepName.textContent = `${midiToNoteName(pattern.lanes[sel.lane].note)} · ${sel.step + 1}`;
+    elements.seqVelocity.value = Math.round(cell.velocity * 127);
+    elements.seqStepLength.value = Math.round(cell.length * 100);
+    elements.seqTie.checked = cell.tie;
+  } else {
+    elements.seqStepName.textContent = '--';
+    elements.seqTie.checked = false;
+  }
+}
+
+function onSequencerStepEdit() {
+  const sel = state.seqSelection;
+  if (!sequencer || !sel) return;
+
+  sequencer.setStep(sequencer.selectedId, sel.lane, sel.step, {
+    velocity: parseInt(elements.seqVelocity.value) / 127,
+    length: parseInt(elements.seqStepLength.value) / 100,
+    tie: elements.seqTie.checked
+  });
+}
+
+function onSequencerAddLane() {
+  initAudio();
+  sequencer.addLane(sequencer.selectedId, parseInt(elements.seqLaneNoteSelect.value));
+}
+
+function onSequencerRemoveLane() {
+  if (!sequencer || state.seqSelectedLane === null) return;
+
+  const lane = state.seqSelectedLane;
+  state.seqSelection = null;
+  state.seqSelectedLane = null;
+  sequencer.removeLane(sequencer.selectedId, lane);
+  updateStepEditor();
+}
+
+// "1 1 2" plays Pattern 1 twice, then Pattern 2
+function onSequencerChainChange() {
+  initAudio();
+
+  const ids = elements.seqChainInput.value
+    .split(/[\s,]+/)
+    .map(Number)
+    .filter(Number.isInteger);
+  sequencer.setChain(ids);
+}
+
+function onSequencerPlayClick() {
+  if (!sequencer) return;
+
+  if (sequencer.playing) {
+    sequencer.stop();
+  } else {
+    sequencer.start();
+  }
+
+  updateSequencerPlayButton();
+}
+
+function updateSequencerPlayButton() {
+  const playing = !!sequencer?.playing;
+
+  elements.seqPlayBtn.textContent = playing ? 'Stop' : 'Play';
+  elements.seqPlayBtn.classList.toggle('playing', playing);
+}
+
+// Steps are scheduled ahead; move the playhead when they actually sound
+function onSequencerStep({ patternId, step, time }) {
+  const delay = Math.max(0, (time - audioContext.currentTime) * 1000);
+  setTimeout(() => {
+    if (!sequencer.playing) return;
+    state.seqPlayhead = { patternId, step };
+    drawSequencer();
+  }, delay);
+}
+
+function onSequencerSave() {
+  if (!sequencer) return;
+
+  try {
+    localStorage.setItem(SEQ_STORAGE_KEY, JSON.stringify(sequencer.serialize()));
+    showToast('Patterns saved', 'success');
+  } catch (e) {
+    showToast('Could not save patterns', 'error');
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// MIDI File Player
+// ─────────────────────────────────────────────────────────
+async function onMidiFileLoad(e) {
+  const file = e.target.files[0];
+  e.target.value = ''; // Allow loading the same file again
+  if (!file) return;
+
+  await initAudio();
+
+  try {
+    const info = midiPlayer.load(await file.arrayBuffer(), file.name);
+    renderMidiFileInfo(info);
+    showToast(`Loaded ${file.name}`, 'success');
+  } catch (err) {
+    console.error('MIDI file error:', err);
+    showToast(`Could not read MIDI file: ${err.message}`, 'error');
+  }
+
+  updateMidiPlayButton();
+}
+
+function renderMidiFileInfo(info) {
+  const { numerator, denominator } = info.timeSignature;
+  const changes = info.tempoChanges > 0 ? ` (+${info.tempoChanges} changes)` : '';
+
+  elements.midiFileName.textContent = info.name;
+  elements.midiFileTempo.textContent =
+    `${Math.round(info.bpm * 10) / 10} BPM${changes} · ${numerator}/${denominator} · ${info.duration.toFixed(1)}s`;
+
+  // One checkbox per track; tracks without notes (e.g. the tempo track) stay listed but off
+  elements.midiTrackList.innerHTML = '';
+  for (const track of info.tracks) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.track = track.index;
+    checkbox.checked = track.enabled;
+    checkbox.disabled = track.noteCount === 0;
+
+    const meta = document.createElement('span');
+    meta.className = 'track-meta';
+    meta.textContent = track.channel !== null
+      ? `ch ${track.channel + 1} · ${track.noteCount} notes`
+      : `${track.noteCount} notes`;
+
+    label.append(checkbox, track.name, meta);
+    elements.midiTrackList.appendChild(label);
+  }
+}
+
+function onMidiPlayClick() {
+  if (!midiPlayer) return;
+
+  if (midiPlayer.playing) {
+    midiPlayer.stop();
+  } else {
+    midiPlayer.play();
+  }
+}
+
+// At the natural end, wait until the last notes have actually sounded
+function onMidiPlayerStop({ ended, time }) {
+  const delay = ended ? Math.max(0, (time - audioContext.currentTime) * 1000) : 0;
+  setTimeout(updateMidiPlayButton, delay);
+}
+
+function updateMidiPlayButton() {
+  const playing = !!midiPlayer?.playing;
+
+  elements.midiPlayBtn.disabled = !midiPlayer?.file || !state.hasRecording;
+  elements.midiPlayBtn.textContent = playing ? 'Stop' : 'Play';
+  elements.midiPlayBtn.classList.toggle('playing', playing);
+}
+
+// ─────────────────────────────────────────────────────────
+// Sample Library
+// ─────────────────────────────────────────────────────────
+let libraryRenderId = 0;
+
+async function initLibrary() {
+  try {
+    library = await new SampleLibrary().open();
+
+    // Edits keep the rows in place (and focus in the next field) unless a search may now differ
+    library.on('change', ({ type }) => {
+      if (type !== 'update' || elements.librarySearch.value) renderLibrary();
+    });
+    renderLibrary();
+  } catch (err) {
+    console.warn('Sample library unavailable:', err);
+    elements.libraryList.innerHTML = '<p class="library-empty">Library unavailable in this browser</p>';
+    elements.librarySaveToggle.disabled = true;
+  }
+}
+
+// Store the just-loaded sample (now the selected zone) with its analysis and thumbnail
+async function addToLibrary(blob, name) {
+  if (!library || !elements.librarySaveToggle.checked) return;
+
+  try {
+    await library.add({
+      blob,
+      name,
+      analysis: sampler.getAnalysis(),
+      thumbnail: sampler.getWaveformData(96)
+    });
+  } catch (err) {
+    console.error('Library error:', err);
+    showToast('Could not add to library', 'error');
+  }
+}
+
+async function renderLibrary() {
+  if (!library) return;
+
+  // Searches can overlap while typing; only the latest one renders
+  const renderId = ++libraryRenderId;
+  const root = elements.libraryRootSelect.value;
+  let entries, roots;
+  try {
+    [entries, roots] = await Promise.all([
+      library.list({
+        query: elements.librarySearch.value,
+        rootMidi: root === '' ? null : parseInt(root)
+      }),
+      library.getRoots()
+    ]);
+  } catch (err) {
+    console.error('Library error:', err);
+    if (renderId === libraryRenderId) showToast('Could not read the library', 'error');
+    return;
+  }
+  if (renderId !== libraryRenderId) return;
+
+  // Root filter lists the roots in the library, keeping the current choice
+  elements.libraryRootSelect.innerHTML = '<option value="">All</option>' + roots
+    .map(r => `<option value="${r.rootMidi}">${midiToNoteName(r.rootMidi)} (${r.count})</option>`)
+    .join('');
+  elements.libraryRootSelect.value = roots.some(r => String(r.rootMidi) === root) ? root : '';
+
+  const total = roots.reduce((sum, r) => sum + r.count, 0);
+  elements.libraryCount.textContent = total > 0 ? `${entries.length} / ${total}` : '';
+
+  elements.libraryList.innerHTML = '';
+  if (entries.length === 0) {
+    elements.libraryList.innerHTML = `<p class="library-empty">${total > 0 ? 'No matches' : 'Recordings and loaded files appear here'}</p>`;
+    return;
+  }
+
+  for (const entry of entries) {
+    elements.libraryList.appendChild(createLibraryEntry(entry));
+  }
+}
+
+function createLibraryEntry(entry) {
+  const { rootMidi, pitchConfidence, duration } = entry.analysis;
+
+  const row = document.createElement('div');
+  row.className = 'library-entry';
+  row.dataset.id = entry.id;
+
+  const thumb = document.createElement('canvas');
+  thumb.className = 'library-thumb';
+  thumb.width = entry.thumbnail.length || 96;
+  thumb.height = 28;
+  drawLibraryThumbnail(thumb, entry.thumbnail);
+
+  const name = document.createElement('input');
+  name.className = 'library-name';
+  name.value = entry.name;
+  name.setAttribute('aria-label', 'Sample name');
+
+  const tags = document.createElement('input');
+  tags.className = 'library-tags';
+  tags.value = entry.tags.join(', ');
+  tags.placeholder = 'tags, comma separated';
+  tags.setAttribute('aria-label', 'Tags');
+
+  const meta = document.createElement('span');
+  meta.className = 'library-meta';
+  meta.textContent = [
+    midiToNoteName(rootMidi),
+    pitchConfidence ? `${Math.round(pitchConfidence * 100)}%` : null,
+    `${duration.toFixed(1)}s`
+  ].filter(Boolean).join(' · ');
+
+  const load = document.createElement('button');
+  load.className = 'btn btn-small';
+  load.dataset.action = 'load';
+  load.textContent = 'Load';
+
+  const remove = document.createElement('button');
+  remove.className = 'btn btn-small';
+  remove.dataset.action = 'delete';
+  remove.textContent = '×';
+  remove.setAttribute('aria-label', `Delete ${entry.name}`);
+
+  row.append(thumb, name, tags, meta, load, remove);
+  return row;
+}
+
+function drawLibraryThumbnail(canvas, peaks) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const centerY = height / 2;
+
+  ctx.fillStyle = '#0d0d0d';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#4a9eff';
+  peaks.forEach((peak, i) => {
+    const amp = Math.max(0.5, peak * centerY * 0.9);
+    ctx.fillRect(i, centerY - amp, 1, amp * 2);
+  });
+}
+
+async function onLibraryClick(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button || !library) return;
+
+  const id = parseInt(button.closest('.library-entry').dataset.id);
+  if (button.dataset.action === 'delete') {
+    try {
+      await library.remove(id);
+    } catch (err) {
+      console.error('Library error:', err);
+      showToast('Could not delete from library', 'error');
+    }
+    return;
+  }
+
+  await initAudio();
+  showLoading(true);
+
+  try {
+    const entry = await library.get(id);
+    recordEdit('Load from library');
+    await sampler.loadFromBlob(entry.blob, getLoadOptions());
+    state.hasRecording = true;
+    showToast(`Loaded ${entry.name}`, 'success');
+  } catch (err) {
+    console.error('Library load error:', err);
+    showToast('Error loading sample', 'error');
+  }
+
+  showLoading(false);
+}
+
+// Name and tag edits are saved when the field is committed
+async function onLibraryEdit(e) {
+  const row = e.target.closest('.library-entry');
+  if (!row || !library) return;
+
+  const id = parseInt(row.dataset.id);
+  try {
+    if (e.target.classList.contains('library-name')) {
+      await library.update(id, { name: e.target.value });
+    } else if (e.target.classList.contains('library-tags')) {
+      await library.update(id, { tags: e.target.value });
+    }
+  } catch (err) {
+    console.error('Library error:', err);
+    showToast('Could not save library changes', 'error');
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// Arpeggiator
+// ─────────────────────────────────────────────────────────
+function getArpSettings() {
+  const rate = elements.arpRateSelect.value;
+  return {
+    pattern: elements.arpPatternSelect.value,
+    division: rate === 'loop' ? null : parseFloat(rate), // null follows Loop Length
+    octaves: parseInt(elements.arpOctavesSelect.value),
+    gate: parseInt(elements.arpGateSlider.value) / 100,
+    swing: parseInt(elements.arpSwingSlider.value) / 100
+  };
+}
+
+function onArpToggle() {
+  if (!arpeggiator) return;
+
+  // Keys held across the switch would otherwise hang in one mode or the other
+  sampler.panic();
+  $$('.key.active').forEach(key => key.classList.remove('active'));
+
+  arpeggiator.setEnabled(elements.arpToggle.checked);
+}
+
+function onArpChange() {
+  elements.arpGateSlider.title = `${elements.arpGateSlider.value}%`;
+  elements.arpSwingSlider.title = `${elements.arpSwingSlider.value}%`;
+
+  arpeggiator?.set(getArpSettings());
+}
+
 function updateTempoDurationDisplay() {
   const bpm = parseInt(elements.bpmInput.value) || 120;
   const division = parseFloat(elements.noteDivisionSelect.value) || 1;
@@ -891,6 +2817,11 @@ async function onPerfRecordToggle() {
       elements.exportPerfWebm.disabled = false;
       showToast('Performance recorded!', 'success');
     }
+
+    // Played notes export separately, even if the audio came out empty
+    const hasEvents = sampler.getPerformanceEvents().length > 0;
+    elements.perfMidiRow.hidden = !hasEvents;
+    elements.exportPerfMidi.disabled = !hasEvents;
   } else {
     // Start recording
     if (!state.hasRecording) {
@@ -912,6 +2843,7 @@ async function onPerfRecordToggle() {
     elements.perfRecordBtn.classList.add('recording');
     elements.perfRecordBtn.querySelector('.btn-text').textContent = 'Stop';
     elements.perfExportRow.hidden = true;
+    elements.perfMidiRow.hidden = true;
 
     // Start timer
     state.perfRecordTimerId = setInterval(updatePerfRecordTime, 100);
@@ -939,10 +2871,12 @@ async function exportPerformance(format) {
     let filename = `performance_${Date.now()}`;
 
     if (format === 'wav') {
-      // Convert to WAV using AudioContext
-      const arrayBuffer = await blob.arrayBuffer();
-      const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-      blob = sampler._bufferToWav(audioBuffer);
+      // Re-render the played notes offline: lossless, tails included, faster than realtime
+      const events = sampler.getPerformanceEvents();
+      const audioBuffer = events.length > 0
+        ? await sampler.renderOffline(events, { duration: sampler.recorder.duration })
+        : await audioContext.decodeAudioData(await blob.arrayBuffer());
+      blob = sampler._bufferToWav(audioBuffer, { bitDepth: getWavBitDepth() });
       filename += '.wav';
     } else {
       filename += '.webm';
@@ -958,6 +2892,18 @@ async function exportPerformance(format) {
   showLoading(false);
 }
 
+function exportPerformanceMidi() {
+  const format = parseInt(elements.perfMidiFormat.value);
+  const blob = sampler?.exportPerformanceMidi({ format });
+  if (!blob) {
+    showToast('No notes recorded', 'error');
+    return;
+  }
+
+  downloadBlob(blob, `performance_${Date.now()}.mid`);
+  showToast(`Exported MIDI (Type ${format}, ${sampler.tempo.bpm} BPM)`, 'success');
+}
+
 async function exportSample(format) {
   if (!sampler || !state.hasRecording) {
     showToast('No sample loaded', 'error');
@@ -968,12 +2914,14 @@ async function exportSample(format) {
 
   try {
     const exportType = elements.sampleExportType.value;
+    const options = { bitDepth: getWavBitDepth() };
     let blob;
 
+    // WAV exports carry the root note and loop (smpl/cue/inst chunks)
     if (exportType === 'loop') {
-      blob = await sampler.exportLoopRegion(format);
+      blob = await sampler.exportLoopRegion(format, options);
     } else {
-      blob = await sampler.exportOriginalSample(format);
+      blob = await sampler.exportOriginalSample(format, options);
     }
 
     if (blob) {
@@ -989,6 +2937,40 @@ async function exportSample(format) {
   showLoading(false);
 }
 
+// One option per registered instrument exporter
+function buildInstrumentFormatOptions() {
+  elements.instrumentFormatSelect.innerHTML = getExporters()
+    .map(e => `<option value="${e.id}">${e.name}</option>`)
+    .join('');
+}
+
+async function exportInstrument() {
+  if (!sampler || !state.hasRecording) {
+    showToast('No sample loaded', 'error');
+    return;
+  }
+
+  const format = elements.instrumentFormatSelect.value;
+  const exporter = getExporters().find(e => e.id === format);
+
+  showLoading(true);
+
+  try {
+    const blob = await sampler.exportInstrument(format, { bitDepth: getWavBitDepth() });
+    downloadBlob(blob, `instrument_${Date.now()}.${exporter.extension}`);
+    showToast(`Exported ${exporter.name} instrument`, 'success');
+  } catch (err) {
+    console.error('Export error:', err);
+    showToast('Export failed', 'error');
+  }
+
+  showLoading(false);
+}
+
+function getWavBitDepth() {
+  return parseInt(elements.wavBitDepthSelect.value);
+}
+
 function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -1004,9 +2986,125 @@ function enableExportButtons() {
   elements.perfRecordBtn.disabled = false;
   elements.exportSampleWav.disabled = false;
   elements.exportSampleWebm.disabled = false;
+  elements.exportInstrumentBtn.disabled = false;
+  elements.saveProjectBtn.disabled = false;
   elements.playSampleBtn.disabled = false;
 }
 
+// ─────────────────────────────────────────────────────────
+// Projects
+// ─────────────────────────────────────────────────────────
+
+// Controls saved with a project, by element id. Zone values (root, loop mode)
+// live in the sampler's zones; transport toggles (metronome) are left alone.
+const PROJECT_CONTROLS = [
+  'attackSlider', 'decaySlider', 'sustainSlider', 'releaseSlider',
+  'filterTypeSelect', 'cutoffSlider', 'resonanceSlider', 'filterEnvAmount',
+  'filterAttackSlider', 'filterDecaySlider', 'filterSustainSlider', 'filterReleaseSlider',
+  ...[1, 2].flatMap(n => ['Shape', 'Rate', 'Pitch', 'Cutoff', 'Amp', 'Pan'].map(p => `lfo${n}${p}`)),
+  'tempoSyncToggle', 'bpmInput', 'noteDivisionSelect', 'stretchModeSelect',
+  'arpToggle', 'arpPatternSelect', 'arpRateSelect', 'arpOctavesSelect', 'arpGateSlider', 'arpSwingSlider',
+  'midiTempoModeSelect', 'midiLoopToggle',
+  'polyphonySelect', 'glideSlider', 'notePrioritySelect', 'normalizeToggle',
+  'pitchModeSelect', 'formantSlider', 'volumeSlider', 'midiChannelSelect',
+  'recordTargetSelect', 'metronomeVolume', 'sampleExportType', 'wavBitDepthSelect',
+  'perfMidiFormat', 'instrumentFormatSelect', 'pitchOverlayToggle'
+];
+
+async function saveProject() {
+  if (!sampler || !state.hasRecording) {
+    showToast('No sample loaded', 'error');
+    return;
+  }
+
+  showLoading(true);
+
+  try {
+    const blob = await sampler.saveProject(getProjectUi());
+    downloadBlob(blob, `project_${Date.now()}.zip`);
+    showToast('Project saved', 'success');
+  } catch (err) {
+    console.error('Project save error:', err);
+    showToast('Could not save project', 'error');
+  }
+
+  showLoading(false);
+}
+
+async function onOpenProject(e) {
+  const file = e.target.files[0];
+  e.target.value = ''; // Allow opening the same file again
+  if (!file) return;
+
+  await initAudio();
+  showLoading(true);
+
+  try {
+    const project = await sampler.readProject(file);
+
+    sequencer.stop();
+    midiPlayer.stop();
+
+    // Controls first: their handlers push settings into the sampler,
+    // then the project overwrites the sampler with the exact saved values
+    applyProjectUi(project.ui ?? {});
+    sampler.restoreProject(project);
+    history.clear(); // Steps from the previous session would bring its zones back
+
+    if (sampler.zones.length > 0) onSampleLoaded();
+    showToast(`Opened ${file.name}`, 'success');
+  } catch (err) {
+    console.error('Project open error:', err);
+    showToast('Could not open project', 'error');
+  }
+
+  showLoading(false);
+}
+
+function getProjectUi() {
+  const controls = {};
+  for (const id of PROJECT_CONTROLS) {
+    const input = document.getElementById(id);
+    if (input) controls[id] = input.type === 'checkbox' ? input.checked : input.value;
+  }
+
+  return {
+    controls,
+    octave: state.currentOctave,
+    sequencer: sequencer?.serialize() ?? null
+  };
+}
+
+// Set each saved control and run its handler, so labels and dependent
+// controls update the same way as when the user changes them
+function applyProjectUi(ui) {
+  for (const [id, value] of Object.entries(ui.controls ?? {})) {
+    const input = document.getElementById(id);
+    if (!input || !PROJECT_CONTROLS.includes(id)) continue;
+
+    if (input.type === 'checkbox') {
+      input.checked = !!value;
+    } else {
+      input.value = value;
+    }
+    input.dispatchEvent(new Event('input'));
+    input.dispatchEvent(new Event('change'));
+  }
+
+  if (ui.octave) {
+    state.currentOctave = Math.max(1, Math.min(7, ui.octave));
+    updateOctaveDisplay();
+  }
+
+  if (ui.sequencer) {
+    try {
+      sequencer.load(ui.sequencer);
+    } catch (e) {
+      console.warn('Could not restore project patterns:', e);
+    }
+  }
+}
+
 // ─────────────────────────────────────────────────────────
 // UI Helpers
 // ─────────────────────────────────────────────────────────
@@ -0,0 +1,176 @@
+/**
+ * Arpeggiator
+ * Plays the held notes one at a time on the sampler's tempo:
+ * - Up, down, up-down, random and as-played patterns
+ * - Octave range, gate length and swing
+ * - Steps come from a lookahead clock and are passed to the sampler with
+ *   their exact start/release times, so timing is sample-accurate and the
+ *   notes go through the normal voice path (and into performance recordings)
+ */
+
+import { LookaheadScheduler } from './scheduler.js';
+
+class Arpeggiator {
+  static PATTERNS = {
+    UP: 'up',
+    DOWN: 'down',
+    UP_DOWN: 'upDown',     // Turns around without repeating the top and bottom
+    RANDOM: 'random',
+    AS_PLAYED: 'asPlayed'  // Order the keys were pressed in
+  };
+
+  constructor(sampler, options = {}) {
+    this.sampler = sampler;
+    this.clock = new LookaheadScheduler(sampler.ac);
+
+    this.settings = {
+      pattern: options.pattern ?? Arpeggiator.PATTERNS.UP,
+      octaves: options.octaves ?? 1,   // Octave range (1-4)
+      division: options.division ?? null, // Beats per step, null follows the sampler's note division
+      gate: options.gate ?? 0.5,       // Note length as a fraction of a step
+      swing: options.swing ?? 0        // 0 = straight, 1 = offbeats delayed by half a step
+    };
+
+    this.enabled = false;
+    this.held = []; // { note, velocity } in press order
+
+    // Event callbacks
+    this._listeners = new Map();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Public API
+  // ─────────────────────────────────────────────────────────
+
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    if (!this.enabled) {
+      this.held = [];
+      this.clock.stop();
+    }
+    return this;
+  }
+
+  set(params) {
+    this.settings = { ...this.settings, ...params };
+    this.settings.octaves = Math.max(1, Math.min(4, Math.round(this.settings.octaves)));
+    this.settings.gate = Math.max(0.05, Math.min(1, this.settings.gate));
+    this.settings.swing = Math.max(0, Math.min(1, this.settings.swing));
+    return this;
+  }
+
+  // Seconds per step at the sampler's current BPM
+  getStepDuration() {
+    const division = this.settings.division ?? this.sampler.tempo.noteDivision;
+    return (60 / this.sampler.tempo.bpm) * division;
+  }
+
+  noteOn(note, velocity = 1) {
+    this.held = this.held.filter(h => h.note !== note);
+    this.held.push({ note, velocity });
+
+    // First key starts the clock right away
+    if (!this.clock.running) {
+      this.clock.start((time, step) => this._playStep(time, step));
+    }
+    return this;
+  }
+
+  noteOff(note) {
+    this.held = this.held.filter(h => h.note !== note);
+    return this;
+  }
+
+  // Release all held keys; notes already scheduled still finish
+  releaseAll() {
+    this.held = [];
+    return this;
+  }
+
+  // Note order for one pass of the pattern (before random picking)
+  getSequence() {
+    const { pattern, octaves } = this.settings;
+
+    const base = pattern === Arpeggiator.PATTERNS.AS_PLAYED
+      ? [...this.held]
+      : [...this.held].sort((a, b) => a.note - b.note);
+
+    const notes = [];
+    for (let octave = 0; octave < octaves; octave++) {
+      for (const h of base) {
+        const note = h.note + octave * 12;
+        if (note <= 127) notes.push({ ...h, note });
+      }
+    }
+
+    switch (pattern) {
+      case Arpeggiator.PATTERNS.DOWN:
+        return notes.reverse();
+      case Arpeggiator.PATTERNS.UP_DOWN:
+        return notes.length > 2
+          ? [...notes, ...notes.slice(1, -1).reverse()]
+          : notes;
+      default:
+        return notes;
+    }
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    this._listeners.get(event)?.delete(callback);
+    return this;
+  }
+
+  dispose() {
+    this.setEnabled(false);
+    this._listeners.clear();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _emit(event, data = {}) {
+    this._listeners.get(event)?.forEach(cb => {
+      try { cb(data); } catch (e) { console.error(e); }
+    });
+  }
+
+  // Clock callback: schedule one step on the grid, return the time to the next
+  _playStep(gridTime, step) {
+    const sequence = this.getSequence();
+    if (sequence.length === 0) {
+      this._emit('stop');
+      return null;
+    }
+
+    const stepDuration = this.getStepDuration();
+    const { gate, swing } = this.settings;
+
+    const entry = this.settings.pattern === Arpeggiator.PATTERNS.RANDOM
+      ? sequence[Math.floor(Math.random() * sequence.length)]
+      : sequence[step % sequence.length];
+
+    // Swing pushes every second step late; its gate shrinks so it still ends on time
+    const offbeat = step % 2 === 1;
+    const swingDelay = offbeat ? swing * 0.5 * stepDuration : 0;
+    const time = gridTime + swingDelay;
+    const length = gate * (stepDuration - swingDelay);
+
+    this.sampler.noteOn(entry.note, entry.velocity, { time });
+    this.sampler.noteOff(entry.note, { time: time + length });
+
+    this._emit('step', { note: entry.note, velocity: entry.velocity, time, length, step });
+    return stepDuration;
+  }
+}
+
+export { Arpeggiator };
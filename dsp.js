@@ -0,0 +1,247 @@
+/**
+ * DSP helpers
+ * Offline processing on raw channel data (Float32Array per channel):
+ * - WSOLA time-stretching (duration changes, pitch does not)
+ * - TD-PSOLA pitch shifting with formant preservation / formant shift, at a
+ *   fixed ratio or one that follows the input (pitch correction)
+ */
+
+// ─────────────────────────────────────────────────────────
+// Windows
+// ─────────────────────────────────────────────────────────
+
+function hannWindow(size) {
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  return w;
+}
+
+// ─────────────────────────────────────────────────────────
+// WSOLA Time-Stretch
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Waveform-similarity overlap-add. Output is `ratio` times as long as the input
+ * at the same pitch. Frame offsets are searched on the first channel and applied
+ * to all channels so stereo images stay aligned.
+ *
+ * @param {Float32Array[]} channels
+ * @param {number} ratio - Output length / input length (> 1 slows down)
+ * @param {number} sampleRate
+ * @param {object} [options]
+ * @param {number} [options.frameDuration=0.04] - Frame length in seconds
+ * @param {number} [options.searchDuration=0.01] - Max offset search (± seconds)
+ * @returns {Float32Array[]}
+ */
+function wsolaStretch(channels, ratio, sampleRate, options = {}) {
+  const input = channels[0];
+  const frameSize = Math.max(64, Math.round(sampleRate * (options.frameDuration ?? 0.04)));
+  const synthesisHop = Math.floor(frameSize / 2);
+  const analysisHop = synthesisHop / ratio;
+  const tolerance = Math.round(sampleRate * (options.searchDuration ?? 0.01));
+  const window = hannWindow(frameSize);
+
+  const outLength = Math.max(1, Math.round(input.length * ratio));
+  const maxPos = Math.max(0, input.length - frameSize);
+
+  const outputs = channels.map(() => new Float32Array(outLength + frameSize));
+  const norm = new Float32Array(outLength + frameSize);
+
+  let prevPos = 0;
+
+  for (let k = 0; k * synthesisHop < outLength; k++) {
+    const outPos = k * synthesisHop;
+    const nominal = Math.min(maxPos, Math.round(k * analysisHop));
+    let pos = nominal;
+
+    if (k > 0) {
+      // Find the offset whose frame best continues the previous frame's waveform
+      const natural = prevPos + synthesisHop;
+
+      if (natural + frameSize <= input.length) {
+        let bestCorr = -Infinity;
+
+        for (let d = -tolerance; d <= tolerance; d += 2) {
+          const cand = nominal + d;
+          if (cand < 0 || cand > maxPos) continue;
+
+          let corr = 0;
+          for (let i = 0; i < frameSize; i += 4) {
+            corr += input[natural + i] * input[cand + i];
+          }
+
+          if (corr > bestCorr) {
+            bestCorr = corr;
+            pos = cand;
+          }
+        }
+      }
+    }
+
+    for (let ch = 0; ch < channels.length; ch++) {
+      const src = channels[ch];
+      const dst = outputs[ch];
+      for (let i = 0; i < frameSize && pos + i < src.length; i++) {
+        dst[outPos + i] += src[pos + i] * window[i];
+      }
+    }
+    for (let i = 0; i < frameSize; i++) {
+      norm[outPos + i] += window[i];
+    }
+
+    prevPos = pos;
+  }
+
+  // Undo the window gain where frames overlap
+  return outputs.map(out => {
+    const result = new Float32Array(outLength);
+    for (let i = 0; i < outLength; i++) {
+      result[i] = norm[i] > 1e-3 ? out[i] / norm[i] : out[i];
+    }
+    return result;
+  });
+}
+
+// ─────────────────────────────────────────────────────────
+// PSOLA Pitch Shift
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Pitch marks: one per period, snapped to the waveform peak so grains line up.
+ * Falls back to 10ms spacing when no period is known (unvoiced material).
+ *
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number|null} period - Expected period in samples
+ * @returns {number[]} Sample positions
+ */
+function findPitchMarks(samples, sampleRate, period) {
+  const T = period && period > 0 ? period : sampleRate * 0.01;
+  const search = Math.max(1, Math.round(T * 0.25));
+
+  const argmax = (from, to) => {
+    let best = from;
+    for (let i = from + 1; i < to; i++) {
+      if (samples[i] > samples[best]) best = i;
+    }
+    return best;
+  };
+
+  const marks = [];
+  let pos = argmax(0, Math.min(samples.length, Math.round(T)));
+
+  while (pos < samples.length) {
+    marks.push(pos);
+
+    const expected = Math.round(pos + T);
+    if (expected >= samples.length) break;
+
+    pos = argmax(Math.max(pos + 1, expected - search), Math.min(samples.length, expected + search + 1));
+  }
+
+  return marks;
+}
+
+/**
+ * Time-domain pitch-synchronous overlap-add. Two-period grains are taken at the
+ * analysis marks and re-spaced at the new period, so the spectral envelope
+ * (formants) stays put while the pitch moves. Grains can also be resampled to
+ * move the formants independently.
+ *
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {object} options
+ * @param {number[]} options.marks - Analysis pitch marks (from findPitchMarks)
+ * @param {number|function(number): number} [options.pitchRatio=1] - Output / input
+ *   pitch, or a function of the input position (frames) for a ratio that varies
+ * @param {number} [options.timeRatio=1] - Output / input duration
+ * @param {number} [options.formantRatio=1] - Formant shift (> 1 moves formants up)
+ * @returns {Float32Array[]}
+ */
+function psolaShift(channels, sampleRate, options) {
+  const { marks, pitchRatio = 1, timeRatio = 1, formantRatio = 1 } = options;
+  const input = channels[0];
+  const outLength = Math.max(1, Math.round(input.length * timeRatio));
+
+  const outputs = channels.map(() => new Float32Array(outLength));
+  const norm = new Float32Array(outLength);
+
+  if (marks.length < 2) {
+    return channels.map(ch => Float32Array.from({ length: outLength }, (_, i) => ch[Math.floor(i / timeRatio)] ?? 0));
+  }
+
+  // Local period: mean distance to the neighbouring marks
+  const periodAt = (k) => {
+    const prev = k > 0 ? marks[k] - marks[k - 1] : marks[1] - marks[0];
+    const next = k < marks.length - 1 ? marks[k + 1] - marks[k] : prev;
+    return Math.max(16, (prev + next) / 2);
+  };
+
+  let k = 0;
+  let tOut = marks[0] * timeRatio;
+
+  while (tOut < outLength) {
+    // Nearest analysis mark to the matching input time
+    const tIn = tOut / timeRatio;
+    while (k < marks.length - 1 && Math.abs(marks[k + 1] - tIn) <= Math.abs(marks[k] - tIn)) {
+      k++;
+    }
+
+    const center = marks[k];
+    const period = periodAt(k);
+    const half = Math.max(2, Math.round(period / formantRatio));
+    const outCenter = Math.round(tOut);
+
+    for (let j = -half; j < half; j++) {
+      const o = outCenter + j;
+      if (o < 0 || o >= outLength) continue;
+
+      const pos = center + j * formantRatio;
+      const i0 = Math.floor(pos);
+      if (i0 < 0 || i0 + 1 >= input.length) continue;
+
+      const frac = pos - i0;
+      const w = 0.5 + 0.5 * Math.cos((Math.PI * j) / half);
+
+      for (let ch = 0; ch < channels.length; ch++) {
+        const src = channels[ch];
+        outputs[ch][o] += (src[i0] + (src[i0 + 1] - src[i0]) * frac) * w;
+      }
+      norm[o] += w;
+    }
+
+    tOut += period / (typeof pitchRatio === 'function' ? pitchRatio(center) : pitchRatio);
+  }
+
+  // Keep the level steady where raised pitch stacks more grains
+  for (let i = 0; i < outLength; i++) {
+    if (norm[i] > 1) {
+      for (let ch = 0; ch < outputs.length; ch++) {
+        outputs[ch][i] /= norm[i];
+      }
+    }
+  }
+
+  // Re-spaced grains no longer add up in phase (and lowered pitch leaves gaps
+  // between them), so the level still falls with the transposition: bring it
+  // back to the input's
+  const outLevel = rms(outputs[0]);
+  const gain = outLevel > 0 ? Math.max(0.25, Math.min(4, rms(input) / outLevel)) : 1;
+  if (gain !== 1) {
+    for (const out of outputs) {
+      for (let i = 0; i < outLength; i++) out[i] *= gain;
+    }
+  }
+
+  return outputs;
+}
+
+function rms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+}
+
+export { hannWindow, wsolaStretch, findPitchMarks, psolaShift };
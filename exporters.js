@@ -0,0 +1,290 @@
+/**
+ * Instrument exporters
+ * Turn the sampler's instrument (VoiceSampler.getInstrumentData) into files
+ * other samplers open directly:
+ * - SFZ: one WAV per zone plus an .sfz mapping, zipped
+ * - SoundFont 2: the current zone as a single .sf2
+ * - DecentSampler: one WAV per zone plus a .dspreset with attack/release knobs, zipped
+ *
+ * An exporter is { id, name, extension, export(instrument, options) -> Promise<Blob> }.
+ * registerExporter() adds one; VoiceSampler.exportInstrument(id) runs it.
+ *
+ * Instrument data (positions in frames, loop end exclusive):
+ *   { name, envelope, filter, filterEnv, polyphony, currentZone, zones: [{
+ *     name, buffer, rootMidi, cents, lowKey, highKey, lowVel, highVel, start, end,
+ *     loop: { start, end, type (LOOP_TYPES), untilRelease } | null,
+ *     take: { index, count, random } | null }] }
+ */
+
+import { encodeWav, LOOP_TYPES } from './wav.js';
+import { encodeSoundFont, SAMPLE_MODES } from './sf2.js';
+import { createZip } from './zip.js';
+
+const exporters = new Map();
+
+function registerExporter(exporter) {
+  exporters.set(exporter.id, exporter);
+}
+
+function getExporter(id) {
+  return exporters.get(id) ?? null;
+}
+
+// [{ id, name, extension }] in registration order
+function getExporters() {
+  return [...exporters.values()].map(({ id, name, extension }) => ({ id, name, extension }));
+}
+
+// ─────────────────────────────────────────────────────────
+// SFZ
+// ─────────────────────────────────────────────────────────
+
+// Key/velocity ranges, root, loop, amp envelope, filter and polyphony. Takes
+// become round-robin (seq_length/seq_position) or random (lorand/hirand).
+// options: { name, bitDepth }
+registerExporter({
+  id: 'sfz',
+  name: 'SFZ',
+  extension: 'zip',
+
+  async export(instrument, options = {}) {
+    const name = options.name ?? instrument.name;
+    const samples = samplePaths(instrument);
+
+    return createZip([
+      { name: `${fileSafeName(name)}.sfz`, data: buildSfz(instrument, samples, name) },
+      ...sampleFiles(instrument, samples, options)
+    ]);
+  }
+});
+
+function buildSfz(instrument, samples, name) {
+  const { envelope, filter, filterEnv } = instrument;
+  const lines = [
+    `// ${name}`,
+    '// Exported from Voice Sampler',
+    '',
+    '<global>',
+    `ampeg_attack=${num(envelope.attack)}`,
+    `ampeg_decay=${num(envelope.decay)}`,
+    `ampeg_sustain=${num(envelope.sustain * 100)}`,
+    `ampeg_release=${num(envelope.release)}`,
+    `polyphony=${instrument.polyphony}`
+  ];
+
+  if (filter.enabled) {
+    const types = { lowpass: 'lpf_2p', highpass: 'hpf_2p', bandpass: 'bpf_2p', notch: 'brf_2p' };
+    lines.push(
+      `fil_type=${types[filter.type] ?? 'lpf_2p'}`,
+      `cutoff=${Math.round(filter.cutoff)}`,
+      `resonance=${num(Math.max(0, 20 * Math.log10(filter.resonance)))}`, // Q to dB
+      `fileg_depth=${Math.round(filter.envAmount * 1200)}`,
+      `fileg_attack=${num(filterEnv.attack)}`,
+      `fileg_decay=${num(filterEnv.decay)}`,
+      `fileg_sustain=${num(filterEnv.sustain * 100)}`,
+      `fileg_release=${num(filterEnv.release)}`
+    );
+  }
+
+  instrument.zones.forEach((zone, i) => {
+    lines.push(
+      '',
+      '<region>',
+      `sample=${samples[i]}`,
+      `lokey=${zone.lowKey} hikey=${zone.highKey}`,
+      `lovel=${Math.max(1, zone.lowVel)} hivel=${zone.highVel}`,
+      `pitch_keycenter=${zone.rootMidi}`,
+      ...(zone.cents !== 0 ? [`tune=${-zone.cents}`] : []),
+      `offset=${zone.start} end=${Math.max(0, zone.end - 1)}`,
+      ...sfzLoop(zone.loop)
+    );
+
+    // Takes of one group play in turn, or at random
+    const { take } = zone;
+    if (take?.random) {
+      lines.push(`lorand=${num(take.index / take.count)} hirand=${num((take.index + 1) / take.count)}`);
+    } else if (take) {
+      lines.push(`seq_length=${take.count} seq_position=${take.index + 1}`);
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// SFZ loop opcodes (loop_end inclusive)
+function sfzLoop(loop) {
+  if (!loop) return ['loop_mode=one_shot'];
+
+  const points = [`loop_start=${loop.start}`, `loop_end=${Math.max(0, loop.end - 1)}`];
+  if (loop.untilRelease) return ['loop_mode=loop_sustain', ...points];
+
+  switch (loop.type) {
+    case LOOP_TYPES.PING_PONG:
+      return ['loop_mode=loop_continuous', 'loop_type=alternate', ...points];
+    case LOOP_TYPES.REVERSE:
+      return ['direction=reverse', 'loop_mode=loop_continuous', 'loop_type=backward', ...points];
+    default:
+      return ['loop_mode=loop_continuous', ...points];
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// SoundFont 2
+// ─────────────────────────────────────────────────────────
+
+// The current zone's sample, loop, root key, ranges and amp envelope.
+// SF2 loops only play forward, so ping-pong and reverse export as forward loops.
+// options: { name }
+registerExporter({
+  id: 'sf2',
+  name: 'SoundFont 2',
+  extension: 'sf2',
+
+  async export(instrument, options = {}) {
+    const zone = instrument.zones[instrument.currentZone] ?? instrument.zones[0];
+
+    const data = encodeSoundFont({
+      name: options.name ?? instrument.name,
+      buffer: zone.buffer,
+      rootMidi: zone.rootMidi,
+      cents: zone.cents,
+      loop: zone.loop && { start: zone.loop.start, end: zone.loop.end },
+      sampleMode: zone.loop?.untilRelease ? SAMPLE_MODES.LOOP_UNTIL_RELEASE : SAMPLE_MODES.LOOP,
+      start: zone.start,
+      end: zone.end,
+      lowKey: zone.lowKey,
+      highKey: zone.highKey,
+      lowVel: zone.lowVel,
+      highVel: zone.highVel,
+      envelope: instrument.envelope
+    });
+
+    return new Blob([data], { type: 'audio/x-soundfont' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────
+// DecentSampler
+// ─────────────────────────────────────────────────────────
+
+// .dspreset next to the WAVs: one <sample> per zone with root, ranges, tuning
+// and loop, the amp ADSR on <groups>, and knobs for attack and release.
+// DecentSampler loops forward while the note sounds; one-shots play until release.
+// options: { name, bitDepth }
+registerExporter({
+  id: 'decentSampler',
+  name: 'DecentSampler',
+  extension: 'zip',
+
+  async export(instrument, options = {}) {
+    const name = options.name ?? instrument.name;
+    const samples = samplePaths(instrument);
+
+    return createZip([
+      { name: `${fileSafeName(name)}.dspreset`, data: buildDecentSampler(instrument, samples) },
+      ...sampleFiles(instrument, samples, options)
+    ]);
+  }
+});
+
+function buildDecentSampler(instrument, samples) {
+  const { attack, decay, sustain, release } = instrument.envelope;
+  const knob = (x, label, parameter, value, max) => element('labeled-knob', {
+    x, y: 40, width: 90, textSize: 16, textColor: 'FFFFFFFF',
+    label, type: 'float', minValue: 0, maxValue: max, value: num(value)
+  }, [element('binding', { type: 'amp', level: 'instrument', position: 0, parameter })]);
+
+  const ui = element('ui', { width: 812, height: 375 }, [
+    element('tab', { name: 'main' }, [
+      knob(20, 'Attack', 'ENV_ATTACK', attack, Math.max(4, attack)),
+      knob(120, 'Release', 'ENV_RELEASE', release, Math.max(8, release))
+    ])
+  ]);
+
+  const sampleElements = instrument.zones.map((zone, i) => {
+    const { loop, take } = zone;
+    return element('sample', {
+      path: samples[i],
+      rootNote: zone.rootMidi,
+      loNote: zone.lowKey,
+      hiNote: zone.highKey,
+      loVel: Math.max(1, zone.lowVel),
+      hiVel: zone.highVel,
+      tuning: num(-zone.cents / 100),
+      start: zone.start,
+      end: Math.max(0, zone.end - 1),
+      loopEnabled: !!loop,
+      ...(loop ? { loopStart: loop.start, loopEnd: Math.max(0, loop.end - 1) } : {}),
+      ...(take ? {
+        seqMode: take.random ? 'random' : 'round_robin',
+        seqLength: take.count,
+        seqPosition: take.index + 1
+      } : {})
+    });
+  });
+
+  const groups = element('groups', {
+    attack: num(attack),
+    decay: num(decay),
+    sustain: num(sustain),
+    release: num(release)
+  }, [element('group', {}, sampleElements)]);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    element('DecentSampler', { minVersion: '1.0.0' }, [ui, groups]) + '\n';
+}
+
+// ─────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────
+
+// samples/NN_zone-name.wav per zone
+function samplePaths(instrument) {
+  return instrument.zones.map((zone, i) =>
+    `samples/${String(i + 1).padStart(2, '0')}_${fileSafeName(zone.name)}.wav`);
+}
+
+// WAVs with the zone's root, tuning, loop and ranges in smpl/cue/inst
+function sampleFiles(instrument, paths, options) {
+  return instrument.zones.map((zone, i) => ({
+    name: paths[i],
+    data: encodeWav(zone.buffer, {
+      bitDepth: options.bitDepth,
+      metadata: {
+        rootMidi: zone.rootMidi,
+        cents: zone.cents,
+        loops: zone.loop ? [{ start: zone.loop.start, end: zone.loop.end, type: zone.loop.type }] : [],
+        lowKey: zone.lowKey,
+        highKey: zone.highKey,
+        lowVel: zone.lowVel,
+        highVel: zone.highVel
+      }
+    })
+  }));
+}
+
+// Zone/instrument names as file names: letters, digits, dash and underscore
+function fileSafeName(name) {
+  return name.trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'sample';
+}
+
+function num(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// XML element with escaped attributes, children indented one level
+function element(tag, attributes, children = []) {
+  const attrs = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`)
+    .join('');
+  if (children.length === 0) return `<${tag}${attrs}/>`;
+
+  const inner = children.join('\n').replace(/^/gm, '  ');
+  return `<${tag}${attrs}>\n${inner}\n</${tag}>`;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+export { registerExporter, getExporter, getExporters };
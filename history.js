@@ -0,0 +1,121 @@
+/**
+ * EditHistory
+ * Undo/redo over snapshots of whatever state its owner captures:
+ * - record() just before an edit keeps the state the edit replaces
+ * - Continuous edits (handle drags, slider moves) sharing a key collapse
+ *   into one step until seal() or a pause
+ * - A new edit drops the redo steps; the oldest steps fall off past `limit`
+ */
+
+class EditHistory {
+  // options: { capture() -> snapshot, restore(snapshot), limit, coalesceMs }
+  constructor({ capture, restore, limit = 100, coalesceMs = 1000 }) {
+    this.capture = capture;
+    this.restore = restore;
+    this.limit = limit;
+    this.coalesceMs = coalesceMs;
+
+    this._undo = []; // { label, key, state }, newest last
+    this._redo = [];
+    this._openKey = null; // Key of the step later records may join
+    this._lastRecord = 0;
+
+    // Event callbacks
+    this._listeners = new Map();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Public API
+  // ─────────────────────────────────────────────────────────
+
+  // Call before changing anything. Returns true when a new step was added.
+  record(label, key = null) {
+    const now = Date.now();
+    const joins = key !== null && key === this._openKey && now - this._lastRecord < this.coalesceMs;
+    this._lastRecord = now;
+    if (joins) return false;
+
+    this._undo.push({ label, key, state: this.capture() });
+    if (this._undo.length > this.limit) this._undo.shift();
+    this._redo = [];
+    this._openKey = key;
+
+    this._emit('change', this.getState());
+    return true;
+  }
+
+  // End the current continuous edit (pointer or slider released)
+  seal() {
+    this._openKey = null;
+    return this;
+  }
+
+  undo() {
+    return this._step(this._undo, this._redo);
+  }
+
+  redo() {
+    return this._step(this._redo, this._undo);
+  }
+
+  clear() {
+    this._undo = [];
+    this._redo = [];
+    this._openKey = null;
+    this._emit('change', this.getState());
+    return this;
+  }
+
+  get canUndo() { return this._undo.length > 0; }
+  get canRedo() { return this._redo.length > 0; }
+
+  // { canUndo, canRedo, undoLabel, redoLabel }
+  getState() {
+    return {
+      canUndo: this.canUndo,
+      canRedo: this.canRedo,
+      undoLabel: this._undo.at(-1)?.label ?? null,
+      redoLabel: this._redo.at(-1)?.label ?? null
+    };
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    this._listeners.get(event)?.delete(callback);
+    return this;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _emit(event, data = {}) {
+    this._listeners.get(event)?.forEach(cb => {
+      try { cb(data); } catch (e) { console.error(e); }
+    });
+  }
+
+  // Move the newest step from one stack to the other, swapping in its state.
+  // Returns the step's label, or null when there was nothing to move.
+  _step(from, to) {
+    const entry = from.pop();
+    if (!entry) return null;
+
+    to.push({ label: entry.label, key: null, state: this.capture() });
+    this._openKey = null;
+    this.restore(entry.state);
+
+    this._emit('change', this.getState());
+    return entry.label;
+  }
+}
+
+export { EditHistory };
@@ -0,0 +1,271 @@
+/**
+ * Loop candidates
+ * Ranked loop points for a sustained sample instead of a single guess. Each
+ * candidate is scored on what makes a loop sound seamless:
+ * - Seam correlation: the waveform around the loop end matches the waveform
+ *   around the loop start, so the jump back does not click
+ * - Spectral similarity: the timbre at both ends matches (no brightness jump)
+ * - Amplitude stability: the level holds inside the loop and matches across
+ *   the seam (no throb)
+ *
+ * Both points sit on rising zero crossings; the end is the crossing near the
+ * target length that gives the best seam.
+ */
+
+import { hannWindow } from './dsp.js';
+
+// Share of each score in the overall score
+const SCORE_WEIGHTS = { correlation: 0.5, spectral: 0.25, stability: 0.25 };
+
+// Loops overlapping a better candidate by more than this are left out
+const MAX_OVERLAP = 0.75;
+
+const HOP_DURATION = 0.01; // Grid for loop starts, levels and spectra
+const FFT_SIZE = 1024;
+
+// ─────────────────────────────────────────────────────────
+// Candidates
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Every start on a 10ms grid in the middle half of the sample (after the
+ * attack, before the decay) is scored at a few loop lengths; the best distinct
+ * ones then get their start snapped to a zero crossing and are scored again.
+ *
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {object} [options]
+ * @param {number|null} [options.period=null] - Detected period in samples;
+ *   loop lengths become whole periods
+ * @param {number} [options.count=5] - Candidates returned
+ * @param {number} [options.minDuration=0.15] - Shortest loop, seconds
+ * @param {number} [options.maxDuration=0.6] - Longest loop, seconds
+ * @returns {{ start: number, end: number, score: number, correlation: number,
+ *   spectral: number, stability: number }[]} frames and 0-1 scores, best first
+ */
+function findLoopCandidates(samples, sampleRate, options = {}) {
+  const { period = null, count = 5, minDuration = 0.15, maxDuration = 0.6 } = options;
+  const hop = Math.max(1, Math.round(sampleRate * HOP_DURATION));
+  const searchStart = Math.floor(samples.length * 0.25);
+  const searchEnd = Math.floor(samples.length * 0.75);
+
+  let lengths = loopLengths(sampleRate, period, minDuration, maxDuration)
+    .filter(length => length < searchEnd - searchStart);
+  if (lengths.length === 0) lengths = [Math.max(1, Math.floor((searchEnd - searchStart) * 0.8))];
+
+  const scorer = createScorer(samples, sampleRate, hop, period);
+
+  // Coarse pass on the grid; the end is aligned already, as pitch drift can
+  // shift the best seam by a good part of a period
+  const coarse = [];
+  for (const length of lengths) {
+    for (let start = searchStart; start + length <= searchEnd; start += hop) {
+      coarse.push(scorer.score(start, scorer.bestEnd(start, start + length)));
+    }
+  }
+  if (coarse.length === 0) {
+    return [scorer.score(searchStart, Math.min(samples.length, searchStart + lengths[0]))];
+  }
+
+  // Refine the best few at zero crossings
+  const refined = distinct(coarse, count * 3).map(candidate => {
+    const start = risingZeroCrossing(samples, candidate.start, Math.round(sampleRate * 0.02));
+    const end = scorer.bestEnd(start, start + (candidate.end - candidate.start));
+    return scorer.score(start, end);
+  });
+
+  return distinct(refined, count);
+}
+
+// A few lengths across the allowed range, whole periods when the pitch is known
+function loopLengths(sampleRate, period, minDuration, maxDuration) {
+  const lengths = [0, 0.4, 0.8].map(position => {
+    const length = sampleRate * (minDuration + (maxDuration - minDuration) * position);
+    return period > 0 ? Math.max(3, Math.round(length / period)) * period : length;
+  });
+  return [...new Set(lengths.map(Math.round))];
+}
+
+// Best first, skipping loops that mostly overlap a better one
+function distinct(candidates, count) {
+  const picked = [];
+  for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+    if (picked.length === count) break;
+    if (picked.every(other => overlap(candidate, other) <= MAX_OVERLAP)) picked.push(candidate);
+  }
+  return picked;
+}
+
+// Shared length over combined length, 0-1
+function overlap(a, b) {
+  const shared = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+  return Math.max(0, shared) / (Math.max(a.end, b.end) - Math.min(a.start, b.start));
+}
+
+// ─────────────────────────────────────────────────────────
+// Scoring
+// ─────────────────────────────────────────────────────────
+
+// Levels are computed once; spectra per grid frame as they are needed
+function createScorer(samples, sampleRate, hop, period) {
+  const levels = [];
+  for (let from = 0; from < samples.length; from += hop) {
+    levels.push(rms(samples, from, Math.min(samples.length, from + hop)));
+  }
+
+  const window = hannWindow(FFT_SIZE);
+  const spectra = new Map();
+  const spectrumAt = (position) => {
+    const frame = Math.round(position / hop);
+    if (!spectra.has(frame)) spectra.set(frame, magnitudeSpectrum(samples, frame * hop, window));
+    return spectra.get(frame);
+  };
+
+  // Half-width of the compared stretch at the seam: two periods, at least 5ms
+  const seamWidth = Math.round(Math.max(period > 0 ? period * 2 : 0, sampleRate * 0.005));
+  const seam = (start, end) => {
+    const before = Math.min(seamWidth, start);
+    const after = Math.min(seamWidth, samples.length - end);
+    let sum = 0;
+    let energyA = 0;
+    let energyB = 0;
+    for (let i = -before; i < after; i++) {
+      const a = samples[end + i];
+      const b = samples[start + i];
+      sum += a * b;
+      energyA += a * a;
+      energyB += b * b;
+    }
+    return energyA > 0 && energyB > 0 ? sum / Math.sqrt(energyA * energyB) : 0;
+  };
+
+  const stability = (start, end) => {
+    const frames = levels.slice(Math.floor(start / hop), Math.max(Math.floor(start / hop) + 1, Math.floor(end / hop)));
+    const mean = frames.reduce((a, b) => a + b, 0) / frames.length;
+    if (mean === 0) return 0;
+
+    const deviation = Math.sqrt(frames.reduce((a, b) => a + (b - mean) ** 2, 0) / frames.length);
+    const startLevel = frames[0];
+    const endLevel = frames[frames.length - 1];
+    const match = Math.min(startLevel, endLevel) / Math.max(startLevel, endLevel, 1e-9);
+    return Math.max(0, 1 - 2 * deviation / mean) * match;
+  };
+
+  const spectral = (start, end) => 1 - spectralDistance(spectrumAt(start), spectrumAt(end));
+
+  return {
+    score(start, end) {
+      const scores = {
+        correlation: Math.max(0, seam(start, end)),
+        spectral: spectral(start, end),
+        stability: stability(start, end)
+      };
+      const score = Object.entries(SCORE_WEIGHTS).reduce((sum, [key, weight]) => sum + scores[key] * weight, 0);
+
+      return {
+        start,
+        end,
+        score: round(score),
+        correlation: round(scores.correlation),
+        spectral: round(scores.spectral),
+        stability: round(scores.stability)
+      };
+    },
+
+    // Rising zero crossing within half a period (or 2.5ms) of the target with
+    // the best seam; the target itself when there is none
+    bestEnd(start, target) {
+      const reach = Math.round(period > 0 ? period / 2 : sampleRate * 0.0025);
+      let best = Math.min(target, samples.length - 1);
+      let bestCorrelation = -Infinity;
+      for (let i = Math.max(start + 2, target - reach); i <= Math.min(samples.length - 1, target + reach); i++) {
+        if (!(samples[i - 1] <= 0 && samples[i] > 0)) continue;
+        const correlation = seam(start, i);
+        if (correlation > bestCorrelation) {
+          bestCorrelation = correlation;
+          best = i;
+        }
+      }
+      return best;
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────
+
+// Next rising zero crossing within `limit` frames, else the position itself
+function risingZeroCrossing(samples, position, limit) {
+  for (let i = Math.max(1, position); i < Math.min(samples.length, position + limit); i++) {
+    if (samples[i - 1] <= 0 && samples[i] > 0) return i;
+  }
+  return position;
+}
+
+function rms(samples, from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  return to > from ? Math.sqrt(sum / (to - from)) : 0;
+}
+
+// Magnitudes of a Hann-windowed frame centered on `center` (radix-2 FFT)
+function magnitudeSpectrum(samples, center, window) {
+  const size = window.length;
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  const from = center - size / 2;
+  for (let i = 0; i < size; i++) {
+    re[i] = (samples[from + i] ?? 0) * window[i];
+  }
+
+  // Bit-reversal permutation, then butterflies
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) [re[i], re[j]] = [re[j], re[i]];
+  }
+  for (let len = 2; len <= size; len <<= 1) {
+    const angle = -2 * Math.PI / len;
+    for (let i = 0; i < size; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = i + k;
+        const b = a + len / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+
+  const magnitudes = new Float32Array(size / 2);
+  for (let i = 0; i < size / 2; i++) magnitudes[i] = Math.hypot(re[i], im[i]);
+  return magnitudes;
+}
+
+// Half the L1 distance between the spectra scaled to unit sum: 0 same shape, 1 disjoint
+function spectralDistance(a, b) {
+  let sumA = 0;
+  let sumB = 0;
+  for (let i = 0; i < a.length; i++) {
+    sumA += a[i];
+    sumB += b[i];
+  }
+  if (sumA === 0 || sumB === 0) return 1;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) distance += Math.abs(a[i] / sumA - b[i] / sumB);
+  return distance / 2;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export { findLoopCandidates };
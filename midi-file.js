@@ -0,0 +1,319 @@
+/**
+ * Standard MIDI File
+ * Writes recorded performance events as a Type 0 or Type 1 SMF:
+ * - Event times in seconds are converted to ticks at a fixed BPM
+ * - Type 0: one track with tempo, notes and controllers
+ * - Type 1: a tempo track followed by one note track
+ * - Notes still held at the end of the take are closed
+ * Reads Type 0/1/2 files into per-track events plus a tempo map
+ *
+ * Events use the sampler's units:
+ *   { type: 'noteOn', time, note, velocity (0-1) }
+ *   { type: 'noteOff', time, note }
+ *   { type: 'controlChange', time, controller, value (0-1) }
+ *   { type: 'pitchBend', time, value (-1..1) }
+ */
+
+const PPQ = 480; // Ticks per quarter note
+const DEFAULT_TEMPO = 500000; // Microseconds per beat (120 BPM) until a tempo event
+
+// Same-tick order: releases before controllers before new notes
+const EVENT_ORDER = { noteOff: 0, controlChange: 1, pitchBend: 1, noteOn: 2 };
+
+// ─────────────────────────────────────────────────────────
+// Writing
+// ─────────────────────────────────────────────────────────
+
+// options: { format 0|1, bpm, channel 0-15, name, duration (seconds) }
+function writeMidiFile(events, options = {}) {
+  const format = options.format === 0 ? 0 : 1;
+  const bpm = options.bpm ?? 120;
+  const channel = (options.channel ?? 0) & 0x0f;
+  const toTicks = (seconds) => Math.max(0, Math.round(seconds * (bpm / 60) * PPQ));
+
+  const sorted = events
+    .filter(e => e.type in EVENT_ORDER)
+    .map((e, i) => ({ ...e, tick: toTicks(e.time), index: i }))
+    .sort((a, b) => a.tick - b.tick || EVENT_ORDER[a.type] - EVENT_ORDER[b.type] || a.index - b.index);
+
+  // Close notes that never got a noteOff
+  const endTick = Math.max(toTicks(options.duration ?? 0), sorted.at(-1)?.tick ?? 0);
+  const held = new Set();
+  for (const e of sorted) {
+    if (e.type === 'noteOn') held.add(e.note);
+    if (e.type === 'noteOff') held.delete(e.note);
+  }
+  for (const note of held) {
+    sorted.push({ type: 'noteOff', note, tick: endTick });
+  }
+
+  const usPerBeat = Math.round(60e6 / bpm);
+  const tempoEvents = [
+    { tick: 0, data: metaEvent(0x51, [usPerBeat >> 16 & 0xff, usPerBeat >> 8 & 0xff, usPerBeat & 0xff]) },
+    { tick: 0, data: metaEvent(0x58, [4, 2, 24, 8]) } // 4/4
+  ];
+  const noteEvents = sorted.map(e => ({ tick: e.tick, data: channelEvent(e, channel) }));
+  const name = options.name ?? 'Voice Sampler';
+
+  const tracks = format === 0
+    ? [encodeTrack([{ tick: 0, data: metaEvent(0x03, textBytes(name)) }, ...tempoEvents, ...noteEvents], endTick)]
+    : [
+        encodeTrack([{ tick: 0, data: metaEvent(0x03, textBytes('Tempo')) }, ...tempoEvents], endTick),
+        encodeTrack([{ tick: 0, data: metaEvent(0x03, textBytes(name)) }, ...noteEvents], endTick)
+      ];
+
+  const header = [
+    ...textBytes('MThd'), ...uint32(6),
+    ...uint16(format), ...uint16(tracks.length), ...uint16(PPQ)
+  ];
+
+  const size = header.length + tracks.reduce((sum, t) => sum + t.length, 0);
+  const bytes = new Uint8Array(size);
+  bytes.set(header, 0);
+
+  let offset = header.length;
+  for (const track of tracks) {
+    bytes.set(track, offset);
+    offset += track.length;
+  }
+
+  return bytes;
+}
+
+// ─────────────────────────────────────────────────────────
+// Reading
+// ─────────────────────────────────────────────────────────
+
+// Returns { format, ppq, tracks, tempoMap, timeSignature, endTick, duration }
+// Track events carry a tick and channel besides the sampler fields above
+function parseMidiFile(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 14 || readText(view, 0, 4) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File');
+  }
+
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const trackCount = view.getUint16(10);
+  const division = view.getUint16(12);
+  if (division & 0x8000) {
+    throw new Error('SMPTE time division is not supported');
+  }
+
+  const tracks = [];
+  const tempoMap = [];
+  let timeSignature = null;
+  let offset = 8 + headerLength;
+
+  while (tracks.length < trackCount && offset + 8 <= view.byteLength) {
+    const id = readText(view, offset, 4);
+    const length = view.getUint32(offset + 4);
+    const start = offset + 8;
+    offset = start + length;
+
+    // Skip unknown chunks
+    if (id !== 'MTrk') continue;
+
+    const track = parseTrack(view, start, Math.min(offset, view.byteLength));
+    for (const meta of track.meta) {
+      if (meta.type === 'tempo') tempoMap.push({ tick: meta.tick, usPerBeat: meta.usPerBeat });
+      if (meta.type === 'timeSignature' && !timeSignature) timeSignature = meta.value;
+    }
+    tracks.push({
+      name: track.name || `Track ${tracks.length + 1}`,
+      channel: track.events.find(e => e.channel !== undefined)?.channel ?? null,
+      noteCount: track.events.filter(e => e.type === 'noteOn').length,
+      endTick: track.endTick,
+      events: track.events
+    });
+  }
+
+  // Tempo map: sorted, starting at tick 0, with each change's time in seconds
+  tempoMap.sort((a, b) => a.tick - b.tick);
+  if (tempoMap[0]?.tick !== 0) tempoMap.unshift({ tick: 0, usPerBeat: DEFAULT_TEMPO });
+
+  let seconds = 0;
+  tempoMap.forEach((entry, i) => {
+    if (i > 0) {
+      const prev = tempoMap[i - 1];
+      seconds += (entry.tick - prev.tick) / division * prev.usPerBeat / 1e6;
+    }
+    entry.time = seconds;
+    entry.bpm = 60e6 / entry.usPerBeat;
+  });
+
+  const endTick = Math.max(0, ...tracks.map(t => t.endTick));
+
+  return {
+    format,
+    ppq: division,
+    tracks,
+    tempoMap,
+    timeSignature: timeSignature ?? { numerator: 4, denominator: 4 },
+    endTick,
+    duration: ticksToSeconds(endTick, tempoMap, division)
+  };
+}
+
+// Seconds at a tick, following the tempo map
+function ticksToSeconds(tick, tempoMap, ppq) {
+  let entry = tempoMap[0];
+  for (const next of tempoMap) {
+    if (next.tick > tick) break;
+    entry = next;
+  }
+  return entry.time + (tick - entry.tick) / ppq * entry.usPerBeat / 1e6;
+}
+
+function parseTrack(view, offset, end) {
+  const events = [];
+  const meta = [];
+  let name = '';
+  let tick = 0;
+  let status = 0;
+
+  while (offset < end) {
+    const delta = readVarLength(view, offset);
+    offset = delta.offset;
+    tick += delta.value;
+
+    // Running status: data byte first reuses the previous status
+    const byte = view.getUint8(offset);
+    if (byte & 0x80) {
+      status = byte;
+      offset++;
+    } else if (!status) {
+      throw new Error('Corrupt MIDI track');
+    }
+
+    if (status === 0xff) {
+      const type = view.getUint8(offset);
+      const length = readVarLength(view, offset + 1);
+      const dataStart = length.offset;
+      offset = dataStart + length.value;
+      status = 0; // Meta and sysex cancel running status
+
+      if (type === 0x2f) break; // End of Track
+      if (type === 0x03 && !name) name = readText(view, dataStart, length.value).trim();
+      if (type === 0x51) {
+        const usPerBeat = (view.getUint8(dataStart) << 16) | (view.getUint8(dataStart + 1) << 8) | view.getUint8(dataStart + 2);
+        meta.push({ type: 'tempo', tick, usPerBeat });
+      }
+      if (type === 0x58) {
+        meta.push({
+          type: 'timeSignature',
+          tick,
+          value: { numerator: view.getUint8(dataStart), denominator: 2 ** view.getUint8(dataStart + 1) }
+        });
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      const length = readVarLength(view, offset);
+      offset = length.offset + length.value;
+      status = 0;
+      continue;
+    }
+
+    const channel = status & 0x0f;
+    const data1 = view.getUint8(offset);
+    const twoBytes = (status & 0xf0) !== 0xc0 && (status & 0xf0) !== 0xd0;
+    const data2 = twoBytes ? view.getUint8(offset + 1) : 0;
+    offset += twoBytes ? 2 : 1;
+
+    switch (status & 0xf0) {
+      case 0x90:
+        // Velocity 0 is a noteOff
+        events.push(data2 > 0
+          ? { type: 'noteOn', tick, channel, note: data1, velocity: data2 / 127 }
+          : { type: 'noteOff', tick, channel, note: data1 });
+        break;
+      case 0x80:
+        events.push({ type: 'noteOff', tick, channel, note: data1 });
+        break;
+      case 0xb0:
+        events.push({ type: 'controlChange', tick, channel, controller: data1, value: data2 / 127 });
+        break;
+      case 0xe0:
+        events.push({ type: 'pitchBend', tick, channel, value: Math.max(-1, ((data2 << 7) | data1) / 8192 - 1) });
+        break;
+      // Aftertouch, program change and channel pressure are skipped
+    }
+  }
+
+  return { name, events, meta, endTick: tick };
+}
+
+// ─────────────────────────────────────────────────────────
+// Encoding Helpers
+// ─────────────────────────────────────────────────────────
+
+function channelEvent(e, channel) {
+  switch (e.type) {
+    case 'noteOn':
+      return [0x90 | channel, e.note & 0x7f, Math.max(1, Math.min(127, Math.round(e.velocity * 127)))];
+    case 'noteOff':
+      return [0x80 | channel, e.note & 0x7f, 64];
+    case 'controlChange':
+      return [0xb0 | channel, e.controller & 0x7f, Math.max(0, Math.min(127, Math.round(e.value * 127)))];
+    case 'pitchBend': {
+      const bend = Math.max(0, Math.min(16383, Math.round((e.value + 1) * 8192)));
+      return [0xe0 | channel, bend & 0x7f, bend >> 7];
+    }
+  }
+}
+
+// Events must be in tick order; adds delta times and End of Track
+function encodeTrack(events, endTick) {
+  const data = [];
+  let lastTick = 0;
+
+  for (const e of events) {
+    data.push(...varLength(e.tick - lastTick), ...e.data);
+    lastTick = e.tick;
+  }
+  data.push(...varLength(Math.max(0, endTick - lastTick)), 0xff, 0x2f, 0x00);
+
+  return new Uint8Array([...textBytes('MTrk'), ...uint32(data.length), ...data]);
+}
+
+function metaEvent(type, bytes) {
+  return [0xff, type, ...varLength(bytes.length), ...bytes];
+}
+
+function varLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+function uint32(value) {
+  return [value >>> 24 & 0xff, value >>> 16 & 0xff, value >>> 8 & 0xff, value & 0xff];
+}
+
+function uint16(value) {
+  return [value >> 8 & 0xff, value & 0xff];
+}
+
+function textBytes(text) {
+  return [...new TextEncoder().encode(text)];
+}
+
+function readVarLength(view, offset) {
+  let value = 0;
+  let byte;
+  do {
+    byte = view.getUint8(offset++);
+    value = (value << 7) | (byte & 0x7f);
+  } while (byte & 0x80);
+  return { value, offset };
+}
+
+function readText(view, offset, length) {
+  return new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + offset, length));
+}
+
+export { PPQ, EVENT_ORDER, writeMidiFile, parseMidiFile, ticksToSeconds };
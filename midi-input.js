@@ -0,0 +1,193 @@
+/**
+ * MidiInput
+ * Web MIDI input layer for hardware controllers:
+ * - Device picker (single device or all inputs)
+ * - Per-device channel filtering
+ * - Note on/off with real velocity
+ * - Pitch bend and control change (mod wheel, sustain pedal, ...)
+ * - Hot-plugging via MIDIAccess state changes
+ */
+
+class MidiInput {
+  static ALL_DEVICES = 'all';
+  static NO_DEVICE = 'none';
+
+  static CC = {
+    MOD_WHEEL: 1,
+    SUSTAIN: 64,
+    ALL_NOTES_OFF: 123
+  };
+
+  constructor() {
+    this.access = null;
+    this.selectedDevice = MidiInput.ALL_DEVICES;
+
+    // deviceId -> channel (0-15) or null for omni.
+    // The ALL_DEVICES key holds the default for devices without their own filter.
+    this.channelFilters = new Map();
+
+    // Event callbacks
+    this._listeners = new Map();
+
+    this._onMessage = this._onMessage.bind(this);
+    this._onStateChange = this._onStateChange.bind(this);
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Public API
+  // ─────────────────────────────────────────────────────────
+
+  async init() {
+    if (this.access) return this;
+    if (!MidiInput.isSupported()) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+
+    this.access = await navigator.requestMIDIAccess({ sysex: false });
+    this.access.addEventListener('statechange', this._onStateChange);
+    this._bindInputs();
+
+    this._emit('devicesChange', { devices: this.getDevices() });
+    return this;
+  }
+
+  getDevices() {
+    if (!this.access) return [];
+
+    return [...this.access.inputs.values()].map(input => ({
+      id: input.id,
+      name: input.name || 'MIDI Input',
+      manufacturer: input.manufacturer || '',
+      state: input.state
+    }));
+  }
+
+  // 'all', 'none', or a device id
+  selectDevice(deviceId) {
+    this.selectedDevice = deviceId;
+    this._emit('deviceSelect', { deviceId });
+    return this;
+  }
+
+  // channel: 1-16, or null / 'all' for omni
+  setChannel(deviceId, channel) {
+    const ch = channel === null || channel === 'all' ? null : parseInt(channel) - 1;
+    this.channelFilters.set(deviceId, Number.isInteger(ch) ? Math.max(0, Math.min(15, ch)) : null);
+    return this;
+  }
+
+  // Returns the 1-16 channel for a device, or null when omni
+  getChannel(deviceId) {
+    const ch = this.channelFilters.has(deviceId)
+      ? this.channelFilters.get(deviceId)
+      : this.channelFilters.get(MidiInput.ALL_DEVICES) ?? null;
+    return ch === null ? null : ch + 1;
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    this._listeners.get(event)?.delete(callback);
+    return this;
+  }
+
+  dispose() {
+    if (this.access) {
+      for (const input of this.access.inputs.values()) {
+        input.removeEventListener('midimessage', this._onMessage);
+      }
+      this.access.removeEventListener('statechange', this._onStateChange);
+      this.access = null;
+    }
+    this._listeners.clear();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _emit(event, data = {}) {
+    this._listeners.get(event)?.forEach(cb => {
+      try { cb(data); } catch (e) { console.error(e); }
+    });
+  }
+
+  _bindInputs() {
+    for (const input of this.access.inputs.values()) {
+      // addEventListener ignores duplicates, so rebinding on hot-plug is safe
+      input.addEventListener('midimessage', this._onMessage);
+    }
+  }
+
+  _onStateChange(e) {
+    if (e.port?.type !== 'input') return;
+    this._bindInputs();
+    this._emit('devicesChange', { devices: this.getDevices() });
+  }
+
+  _accepts(deviceId, channel) {
+    if (this.selectedDevice === MidiInput.NO_DEVICE) return false;
+    if (this.selectedDevice !== MidiInput.ALL_DEVICES && this.selectedDevice !== deviceId) {
+      return false;
+    }
+
+    const filter = this.getChannel(deviceId);
+    return filter === null || filter === channel + 1;
+  }
+
+  _onMessage(e) {
+    const [status, data1 = 0, data2 = 0] = e.data;
+    if (status < 0x80 || status >= 0xF0) return; // Ignore running status / system messages
+
+    const deviceId = e.currentTarget?.id ?? e.target?.id;
+    const type = status & 0xF0;
+    const channel = status & 0x0F;
+
+    if (!this._accepts(deviceId, channel)) return;
+
+    const base = { channel: channel + 1, deviceId, timeStamp: e.timeStamp };
+
+    switch (type) {
+      case 0x90:
+        if (data2 > 0) {
+          this._emit('noteOn', { ...base, note: data1, velocity: data2 / 127 });
+          break;
+        }
+        // Note on with velocity 0 is a note off
+        this._emit('noteOff', { ...base, note: data1, velocity: 0 });
+        break;
+
+      case 0x80:
+        this._emit('noteOff', { ...base, note: data1, velocity: data2 / 127 });
+        break;
+
+      case 0xE0: {
+        // 14-bit value, centre 8192, normalized to -1..1
+        const raw = (data2 << 7) | data1;
+        const value = raw >= 8192 ? (raw - 8192) / 8191 : (raw - 8192) / 8192;
+        this._emit('pitchBend', { ...base, value });
+        break;
+      }
+
+      case 0xB0:
+        this._emit('controlChange', { ...base, controller: data1, value: data2 / 127 });
+        break;
+
+      default:
+        break;
+    }
+  }
+}
+
+export { MidiInput };
@@ -0,0 +1,302 @@
+/**
+ * MidiPlayer
+ * Plays an imported Standard MIDI File through the sampler:
+ * - Per-track enable, all channels merged onto the sampler
+ * - Follows the file's tempo map, or the sampler's BPM (beats stay on the grid)
+ * - Play / stop / loop transport on the lookahead scheduler
+ * - Notes go through the sampler with exact times, so they land in
+ *   performance recordings
+ */
+
+import { LookaheadScheduler } from './scheduler.js';
+import { EVENT_ORDER, parseMidiFile } from './midi-file.js';
+
+class MidiPlayer {
+  static TEMPO_MODES = {
+    FILE: 'file',       // Tempo map from the file
+    SAMPLER: 'sampler'  // sampler.tempo.bpm, read at every event
+  };
+
+  constructor(sampler) {
+    this.sampler = sampler;
+    this.clock = new LookaheadScheduler(sampler.ac);
+
+    this.file = null;      // Parsed file (see parseMidiFile)
+    this.name = '';
+    this.enabledTracks = new Set();
+
+    this.tempoMode = MidiPlayer.TEMPO_MODES.FILE;
+    this.loop = false;
+    this.playing = false;
+
+    // Playback cursor over the merged event list
+    this._events = [];
+    this._index = 0;
+    this._tick = 0;
+    this._usPerBeat = 500000;
+    this._sounding = new Map(); // 'track:note' -> { track, note }
+    this._timers = new Set();   // Pending controller timeouts
+    this._movedControllers = false;
+
+    // Event callbacks
+    this._listeners = new Map();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Public API
+  // ─────────────────────────────────────────────────────────
+
+  load(arrayBuffer, name = '') {
+    const file = parseMidiFile(arrayBuffer);
+
+    this.stop();
+    this.file = file;
+    this.name = name;
+    this.enabledTracks = new Set(file.tracks.map((t, i) => i).filter(i => file.tracks[i].noteCount > 0));
+    this._buildEvents();
+
+    this._emit('load', this.getInfo());
+    return this.getInfo();
+  }
+
+  getInfo() {
+    if (!this.file) return null;
+
+    const { format, ppq, tracks, tempoMap, timeSignature, duration } = this.file;
+    return {
+      name: this.name,
+      format,
+      ppq,
+      bpm: tempoMap[0].bpm,
+      tempoChanges: tempoMap.length - 1,
+      timeSignature: { ...timeSignature },
+      duration,
+      tracks: tracks.map((t, index) => ({
+        index,
+        name: t.name,
+        channel: t.channel,
+        noteCount: t.noteCount,
+        enabled: this.enabledTracks.has(index)
+      }))
+    };
+  }
+
+  setTrackEnabled(index, enabled) {
+    if (!this.file?.tracks[index]) return this;
+
+    if (enabled) {
+      this.enabledTracks.add(index);
+    } else {
+      this.enabledTracks.delete(index);
+      this._releaseNotes(this.sampler.ac.currentTime, index);
+    }
+
+    this._buildEvents();
+    return this;
+  }
+
+  setTempoMode(mode) {
+    if (Object.values(MidiPlayer.TEMPO_MODES).includes(mode)) {
+      this.tempoMode = mode;
+    }
+    return this;
+  }
+
+  setLoop(loop) {
+    this.loop = !!loop;
+    return this;
+  }
+
+  play() {
+    if (!this.file || this.playing) return this;
+
+    this.playing = true;
+    this._index = 0;
+    this._tick = 0;
+    this._usPerBeat = this.file.tempoMap[0].usPerBeat;
+    this.clock.start((time) => this._playTick(time), this.sampler.ac.currentTime + 0.05);
+
+    this._emit('play');
+    return this;
+  }
+
+  // Releases every note the file is holding
+  stop() {
+    if (!this.playing) return this;
+
+    this.playing = false;
+    this.clock.stop();
+    this._clearTimers();
+    this._releaseNotes(this.sampler.ac.currentTime);
+    this._resetControllers();
+
+    this._emit('stop', { ended: false });
+    return this;
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    this._listeners.get(event)?.delete(callback);
+    return this;
+  }
+
+  dispose() {
+    this.stop();
+    this._listeners.clear();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _emit(event, data = {}) {
+    this._listeners.get(event)?.forEach(cb => {
+      try { cb(data); } catch (e) { console.error(e); }
+    });
+  }
+
+  // Tempo changes plus the enabled tracks' events, in playback order
+  _buildEvents() {
+    const events = this.file.tempoMap.map(t => ({ type: 'tempo', tick: t.tick, usPerBeat: t.usPerBeat, order: -1 }));
+
+    for (const index of this.enabledTracks) {
+      for (const e of this.file.tracks[index].events) {
+        events.push({ ...e, track: index, order: EVENT_ORDER[e.type] });
+      }
+    }
+
+    this._events = events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    // Keep the cursor in place when tracks change during playback
+    const next = this._events.findIndex(e => e.tick >= this._tick);
+    this._index = next === -1 ? this._events.length : next;
+  }
+
+  _secondsPerTick() {
+    const usPerBeat = this.tempoMode === MidiPlayer.TEMPO_MODES.SAMPLER
+      ? 60e6 / this.sampler.tempo.bpm
+      : this._usPerBeat;
+    return usPerBeat / 1e6 / this.file.ppq;
+  }
+
+  // Clock callback: play every event on the current tick, return the time to the next
+  _playTick(time) {
+    if (!this.playing) return null;
+
+    const endTick = Math.max(1, this.file.endTick);
+
+    for (;;) {
+      while (this._index < this._events.length && this._events[this._index].tick <= this._tick) {
+        this._dispatch(this._events[this._index++], time);
+      }
+
+      const nextTick = this._index < this._events.length ? this._events[this._index].tick : endTick;
+      if (nextTick > this._tick) {
+        const delta = (nextTick - this._tick) * this._secondsPerTick();
+        this._tick = nextTick;
+        return delta;
+      }
+
+      // End of the file: wrap around, or finish once the last notes are released
+      if (this.loop) {
+        this._index = 0;
+        this._tick = 0;
+        this._emit('loop', { time });
+        continue;
+      }
+
+      this.playing = false;
+      this._releaseNotes(time);
+      this._atTime(time, () => this._resetControllers());
+      this._emit('stop', { ended: true, time });
+      return null;
+    }
+  }
+
+  _dispatch(e, time) {
+    switch (e.type) {
+      case 'tempo':
+        this._usPerBeat = e.usPerBeat;
+        break;
+      case 'noteOn':
+        this.sampler.noteOn(e.note, e.velocity, { time });
+        this._sounding.set(`${e.track}:${e.note}`, { track: e.track, note: e.note });
+        break;
+      case 'noteOff':
+        this._releaseNote(e.track, e.note, time);
+        break;
+      // The pedal is timed like the notes, so noteOffs dispatched after it
+      // in the same lookahead window see it down
+      case 'controlChange':
+        if (e.controller === 64) {
+          this._movedControllers = true;
+          this.sampler.setSustainPedal(e.value >= 0.5, { time });
+          break;
+        }
+        this._atTime(time, () => this._applyController(e));
+        break;
+      case 'pitchBend':
+        // Controllers apply immediately, so hold them back until their time
+        this._atTime(time, () => this._applyController(e));
+        break;
+    }
+  }
+
+  _applyController(e) {
+    this._movedControllers = true;
+
+    if (e.type === 'pitchBend') {
+      this.sampler.setPitchBend(e.value);
+    } else if (e.controller === 1) {
+      this.sampler.setModWheel(e.value);
+    }
+  }
+
+  // Don't leave the pedal down or the pitch bent after the file stops
+  _resetControllers() {
+    if (!this._movedControllers) return;
+
+    this._movedControllers = false;
+    this.sampler.resetControllers();
+  }
+
+  _atTime(time, callback) {
+    const delay = Math.max(0, (time - this.sampler.ac.currentTime) * 1000);
+    const id = setTimeout(() => {
+      this._timers.delete(id);
+      callback();
+    }, delay);
+    this._timers.add(id);
+  }
+
+  _clearTimers() {
+    this._timers.forEach(id => clearTimeout(id));
+    this._timers.clear();
+  }
+
+  // The sampler has one voice per note: it is released once no track holds it
+  _releaseNote(track, note, time) {
+    if (!this._sounding.delete(`${track}:${note}`)) return;
+
+    const stillHeld = [...this._sounding.values()].some(s => s.note === note);
+    if (!stillHeld) this.sampler.noteOff(note, { time });
+  }
+
+  // Release sounding notes (optionally only one track's)
+  _releaseNotes(time, track = null) {
+    for (const sounding of [...this._sounding.values()]) {
+      if (track !== null && sounding.track !== track) continue;
+      this._releaseNote(sounding.track, sounding.note, time);
+    }
+  }
+}
+
+export { MidiPlayer };
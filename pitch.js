@@ -0,0 +1,326 @@
+/**
+ * Pitch tracking
+ * Frame-by-frame YIN over a whole sample, and what the contour says about
+ * the performance:
+ * - Contour: Hz and confidence every hop (null Hz where silent or unvoiced)
+ * - Vibrato rate and depth from the contour's periodic wobble
+ * - Stable segments: stretches where the pitch (smoothed over a vibrato
+ *   cycle) holds still
+ * - Correction curve: cents per frame that pull the contour onto a steady
+ *   pitch, optionally leaving the vibrato in
+ *
+ * Contours are plain arrays so they survive JSON (projects) and IndexedDB.
+ */
+
+// Frames less sure than this count as unvoiced
+const MIN_CONFIDENCE = 0.5;
+
+// Frames further than this from the target are left alone (octave errors,
+// slides into the note)
+const MAX_CORRECTION_CENTS = 300;
+
+// Vibrato rates searched for, in Hz
+const VIBRATO_MIN_RATE = 3;
+const VIBRATO_MAX_RATE = 9;
+
+// ─────────────────────────────────────────────────────────
+// Contour
+// ─────────────────────────────────────────────────────────
+
+/**
+ * YIN on overlapping frames, run on a copy decimated to about 11 kHz (plenty
+ * for a 900 Hz ceiling) and only over lags up to the lowest pitch's period,
+ * which keeps a whole sample to a few tens of milliseconds.
+ *
+ * @param {Float32Array} input
+ * @param {number} inputRate
+ * @param {object} [options]
+ * @param {number} [options.hopDuration=0.01] - Seconds between frames
+ * @param {number} [options.windowDuration=0.02] - YIN integration window
+ * @param {number} [options.minHz=70]
+ * @param {number} [options.maxHz=900]
+ * @param {number} [options.threshold=0.15] - YIN dip threshold
+ * @param {number} [options.analysisRate=11025] - Decimate to about this rate
+ * @returns {{ hop: number, times: number[], hz: (number|null)[], confidence: number[] }}
+ *   times: frame centers in seconds
+ */
+function trackPitch(input, inputRate, options = {}) {
+  const factor = Math.max(1, Math.floor(inputRate / (options.analysisRate ?? 11025)));
+  const samples = decimate(input, factor);
+  const sampleRate = inputRate / factor;
+
+  const hop = Math.max(1, Math.round(sampleRate * (options.hopDuration ?? 0.01)));
+  const window = Math.max(32, Math.round(sampleRate * (options.windowDuration ?? 0.02)));
+  const minTau = Math.max(2, Math.floor(sampleRate / (options.maxHz ?? 900)));
+  const maxTau = Math.ceil(sampleRate / (options.minHz ?? 70));
+  const threshold = options.threshold ?? 0.15;
+
+  const diff = new Float32Array(maxTau + 2);
+  const contour = { hop: hop / sampleRate, times: [], hz: [], confidence: [] };
+
+  for (let start = 0; start + window + maxTau + 1 <= samples.length; start += hop) {
+    contour.times.push(round((start + window / 2) / sampleRate, 4));
+
+    const frame = yinFrame(samples, start, window, minTau, maxTau, threshold, diff);
+    const confident = frame && frame.confidence >= MIN_CONFIDENCE;
+    contour.hz.push(confident ? round(sampleRate / frame.tau, 2) : null);
+    contour.confidence.push(frame ? round(frame.confidence, 3) : 0);
+  }
+
+  return contour;
+}
+
+// Period (fractional lag) and confidence of one frame, or null when silent
+function yinFrame(samples, start, window, minTau, maxTau, threshold, diff) {
+  let energy = 0;
+  for (let i = start; i < start + window; i++) energy += samples[i] * samples[i];
+  if (Math.sqrt(energy / window) < 0.01) return null;
+
+  // Difference function, then cumulative mean normalized difference
+  diff[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxTau + 1; tau++) {
+    let sum = 0;
+    for (let i = start; i < start + window; i++) {
+      const delta = samples[i] - samples[i + tau];
+      sum += delta * delta;
+    }
+    runningSum += sum;
+    diff[tau] = runningSum > 0 ? sum * tau / runningSum : 1;
+  }
+
+  // First dip below the threshold (down to its floor), else the lowest point
+  let best = -1;
+  for (let tau = minTau; tau <= maxTau; tau++) {
+    if (diff[tau] < threshold) {
+      while (tau + 1 <= maxTau && diff[tau + 1] < diff[tau]) tau++;
+      best = tau;
+      break;
+    }
+    if (best < 0 || diff[tau] < diff[best]) best = tau;
+  }
+
+  // Parabolic interpolation between neighbouring lags
+  const s0 = diff[best - 1];
+  const s1 = diff[best];
+  const s2 = diff[best + 1];
+  const curve = 2 * (2 * s1 - s2 - s0);
+  const tau = curve !== 0 ? best + (s2 - s0) / curve : best;
+
+  return { tau, confidence: Math.max(0, 1 - s1) };
+}
+
+// ─────────────────────────────────────────────────────────
+// Vibrato
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Periodic pitch wobble in the longest voiced stretch: the contour in cents,
+ * minus its slow drift, autocorrelated over 3-9 Hz.
+ *
+ * @param {object} contour - From trackPitch
+ * @returns {{ rate: number, depth: number, regularity: number } | null}
+ *   rate in Hz, depth in cents (peak), regularity 0-1; null without vibrato
+ */
+function analyzeVibrato(contour) {
+  const run = longestVoicedRun(contour);
+  const hop = contour.hop;
+  const minLag = Math.max(2, Math.floor(1 / (VIBRATO_MAX_RATE * hop)));
+  const maxLag = Math.ceil(1 / (VIBRATO_MIN_RATE * hop));
+  if (run.length < maxLag * 2) return null;
+
+  // Cents around the drift (moving average over about two slow cycles)
+  const cents = run.map(hz => 1200 * Math.log2(hz / run[0]));
+  const drift = movingAverage(cents, Math.round(2 / (VIBRATO_MIN_RATE * hop)));
+  const wobble = cents.map((c, i) => c - drift[i]);
+
+  const energy = wobble.reduce((sum, c) => sum + c * c, 0);
+  if (energy === 0) return null;
+
+  const correlation = (lag) => {
+    let sum = 0;
+    for (let i = 0; i + lag < wobble.length; i++) sum += wobble[i] * wobble[i + lag];
+    return sum / energy * wobble.length / (wobble.length - lag);
+  };
+
+  // Strongest local peak of the autocorrelation within the vibrato range
+  let bestLag = -1;
+  let bestValue = 0;
+  const values = [];
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) values[lag] = correlation(lag);
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const value = values[lag];
+    if (value > values[lag - 1] && value >= values[lag + 1] && value > bestValue) {
+      bestLag = lag;
+      bestValue = value;
+    }
+  }
+  if (bestLag < 0 || bestValue < 0.3) return null;
+
+  const s0 = values[bestLag - 1];
+  const s2 = values[bestLag + 1];
+  const curve = 2 * (2 * bestValue - s2 - s0);
+  const lag = curve !== 0 ? bestLag + (s2 - s0) / curve : bestLag;
+
+  // Peak deviation; a high percentile rather than the maximum ignores glitches,
+  // and rather than the RMS it holds up when only part of the note wobbles
+  const magnitudes = wobble.map(Math.abs).sort((a, b) => a - b);
+  const depth = magnitudes[Math.floor(magnitudes.length * 0.9)];
+  if (depth < 5) return null; // Below what anyone hears as vibrato
+
+  return {
+    rate: round(1 / (lag * hop), 2),
+    depth: round(depth, 1),
+    regularity: round(Math.min(1, bestValue), 2)
+  };
+}
+
+// ─────────────────────────────────────────────────────────
+// Stable Segments
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Stretches where the pitch, smoothed over a vibrato cycle, stays within
+ * `toleranceCents` of the stretch's mean.
+ *
+ * @param {object} contour - From trackPitch
+ * @param {object} [options]
+ * @param {number} [options.toleranceCents=20]
+ * @param {number} [options.minDuration=0.2] - Seconds
+ * @param {number} [options.smoothDuration=0.2] - Seconds averaged per point
+ * @returns {{ start: number, end: number, hz: number }[]} seconds, mean Hz
+ */
+function findStableSegments(contour, options = {}) {
+  const tolerance = options.toleranceCents ?? 20;
+  const minFrames = Math.ceil((options.minDuration ?? 0.2) / contour.hop);
+  const smoothFrames = Math.max(1, Math.round((options.smoothDuration ?? 0.2) / contour.hop));
+
+  // Log pitch (cents above 1 Hz) smoothed within each voiced run
+  const cents = contour.hz.map(hz => hz === null ? null : 1200 * Math.log2(hz));
+  const smooth = new Array(cents.length).fill(null);
+  for (const [from, to] of voicedRuns(contour)) {
+    movingAverage(cents.slice(from, to), smoothFrames).forEach((c, i) => { smooth[from + i] = c; });
+  }
+
+  const segments = [];
+  const half = contour.hop / 2;
+  let i = 0;
+  while (i < smooth.length) {
+    if (smooth[i] === null) {
+      i++;
+      continue;
+    }
+
+    let sum = smooth[i];
+    let j = i + 1;
+    while (j < smooth.length && smooth[j] !== null && Math.abs(smooth[j] - sum / (j - i)) <= tolerance) {
+      sum += smooth[j];
+      j++;
+    }
+
+    if (j - i >= minFrames) {
+      segments.push({
+        start: round(contour.times[i] - half, 4),
+        end: round(contour.times[j - 1] + half, 4),
+        hz: round(Math.pow(2, sum / (j - i) / 1200), 2)
+      });
+    }
+    i = j;
+  }
+
+  return segments;
+}
+
+// ─────────────────────────────────────────────────────────
+// Correction
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Cents to shift each frame by so the pitch settles on `targetHz`. With
+ * `keepVibrato` only the drift is corrected: the contour is averaged over one
+ * vibrato cycle first, which cancels the wobble. Unvoiced frames get 0, and the
+ * curve is smoothed over 50ms so the correction never steps.
+ *
+ * @param {object} contour - From trackPitch
+ * @param {number} targetHz
+ * @param {object} [options]
+ * @param {number} [options.strength=1] - 0 (off) to 1 (fully flat)
+ * @param {boolean} [options.keepVibrato=true]
+ * @returns {number[]} cents per contour frame
+ */
+function pitchCorrection(contour, targetHz, options = {}) {
+  const strength = Math.max(0, Math.min(1, options.strength ?? 1));
+  const keepVibrato = options.keepVibrato ?? true;
+
+  const vibratoRate = keepVibrato ? (analyzeVibrato(contour)?.rate ?? VIBRATO_MIN_RATE) : null;
+  const smoothFrames = keepVibrato ? Math.max(1, Math.round(1 / (vibratoRate * contour.hop))) : 1;
+
+  const correction = new Array(contour.hz.length).fill(0);
+  for (const [from, to] of voicedRuns(contour)) {
+    const cents = contour.hz.slice(from, to).map(hz => 1200 * Math.log2(hz / targetHz));
+    movingAverage(cents, smoothFrames).forEach((c, i) => {
+      if (Math.abs(c) <= MAX_CORRECTION_CENTS) correction[from + i] = -c * strength;
+    });
+  }
+
+  return movingAverage(correction, Math.max(1, Math.round(0.05 / contour.hop)))
+    .map(c => round(c, 2));
+}
+
+// ─────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────
+
+// [from, to) frame ranges of consecutive voiced frames
+function voicedRuns(contour) {
+  const runs = [];
+  let from = -1;
+  contour.hz.forEach((hz, i) => {
+    if (hz !== null && from < 0) from = i;
+    if (hz === null && from >= 0) {
+      runs.push([from, i]);
+      from = -1;
+    }
+  });
+  if (from >= 0) runs.push([from, contour.hz.length]);
+  return runs;
+}
+
+function longestVoicedRun(contour) {
+  const [from, to] = voicedRuns(contour).reduce(
+    (longest, run) => run[1] - run[0] > longest[1] - longest[0] ? run : longest, [0, 0]);
+  return contour.hz.slice(from, to);
+}
+
+// Every `factor`-th point of a box-filtered copy (the box keeps most aliasing out)
+function decimate(samples, factor) {
+  if (factor === 1) return samples;
+
+  const output = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+    output[i] = sum / factor;
+  }
+  return output;
+}
+
+// Centered moving average; the window shrinks at the ends
+function movingAverage(values, size) {
+  const half = Math.floor(size / 2);
+  const sums = [0];
+  values.forEach((v, i) => { sums[i + 1] = sums[i] + v; });
+
+  return values.map((_, i) => {
+    const from = Math.max(0, i - half);
+    const to = Math.min(values.length, i + half + 1);
+    return (sums[to] - sums[from]) / (to - from);
+  });
+}
+
+function round(value, digits) {
+  const scale = Math.pow(10, digits);
+  return Math.round(value * scale) / scale;
+}
+
+export { trackPitch, analyzeVibrato, findStableSegments, pitchCorrection };
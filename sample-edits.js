@@ -0,0 +1,205 @@
+/**
+ * Sample edits
+ * Non-destructive processing of a loaded sample: an ordered list of edits,
+ * rendered from the untouched source whenever one of them changes:
+ * - Trim (the region that plays), fade in / fade out with a curve
+ * - Reverse, gain, DC offset removal, silence insertion
+ * - Pitch flattening: PSOLA pulls a wavering note onto its nearest semitone,
+ *   with a strength and an option to keep the vibrato
+ * - Bypassed edits are skipped; order matters (a fade after a trim starts
+ *   at the trim point, a reverse mirrors the trim)
+ *
+ * An edit is { id, type (EDIT_TYPES), params, bypass }. Times are seconds
+ * on the timeline the edit receives from the edits before it.
+ */
+
+import { findPitchMarks, psolaShift } from './dsp.js';
+import { trackPitch, pitchCorrection } from './pitch.js';
+
+const EDIT_TYPES = {
+  TRIM: 'trim',                  // { start, end (null: to the end) }
+  FADE_IN: 'fadeIn',             // { duration, curve }
+  FADE_OUT: 'fadeOut',           // { duration, curve }
+  REVERSE: 'reverse',
+  GAIN: 'gain',                  // { db }
+  REMOVE_DC: 'removeDc',
+  INSERT_SILENCE: 'insertSilence', // { position, duration }
+  FLATTEN_PITCH: 'flattenPitch'    // { strength (0-1), keepVibrato }
+};
+
+const FADE_CURVES = {
+  LINEAR: 'linear',
+  EXPONENTIAL: 'exponential', // 60 dB ramp: even loudness change
+  EQUAL_POWER: 'equalPower',  // Quarter sine: stays loud, drops late
+  S_CURVE: 'sCurve'           // Half cosine: smooth at both ends
+};
+
+// Parameters of a new edit by type
+const EDIT_DEFAULTS = {
+  [EDIT_TYPES.TRIM]: { start: 0, end: null },
+  [EDIT_TYPES.FADE_IN]: { duration: 0.01, curve: FADE_CURVES.LINEAR },
+  [EDIT_TYPES.FADE_OUT]: { duration: 0.05, curve: FADE_CURVES.LINEAR },
+  [EDIT_TYPES.REVERSE]: {},
+  [EDIT_TYPES.GAIN]: { db: 0 },
+  [EDIT_TYPES.REMOVE_DC]: {},
+  [EDIT_TYPES.INSERT_SILENCE]: { position: 0, duration: 0.1 },
+  [EDIT_TYPES.FLATTEN_PITCH]: { strength: 1, keepVibrato: true }
+};
+
+// Inserted silence is capped so a typo cannot allocate minutes of audio
+const MAX_SILENCE = 10;
+
+// ─────────────────────────────────────────────────────────
+// Rendering
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Render edits over copies of the source channels.
+ *
+ * @param {Float32Array[]} channels - Source audio (left untouched)
+ * @param {number} sampleRate
+ * @param {object[]} edits - In order; bypassed edits are skipped
+ * @returns {{ channels: Float32Array[], region: { start: number, end: number } | null }}
+ *   region: frames kept by the trims, or null when nothing was trimmed
+ */
+function applyEdits(channels, sampleRate, edits) {
+  let output = channels.map(data => data.slice());
+  let region = null;
+
+  for (const edit of edits) {
+    if (edit.bypass) continue;
+
+    const length = output[0].length;
+    const bounds = region ?? { start: 0, end: length };
+    const params = { ...EDIT_DEFAULTS[edit.type], ...edit.params };
+    const frames = (seconds) => Math.max(0, Math.min(length, Math.round(seconds * sampleRate)));
+
+    switch (edit.type) {
+      case EDIT_TYPES.TRIM: {
+        const start = Math.min(frames(params.start), length - 1);
+        const end = params.end === null ? length : frames(params.end);
+        region = { start, end: Math.max(start + 1, end) };
+        break;
+      }
+
+      case EDIT_TYPES.FADE_IN: {
+        const size = Math.min(frames(params.duration), bounds.end - bounds.start);
+        fade(output, bounds.start, size, params.curve, true);
+        break;
+      }
+
+      case EDIT_TYPES.FADE_OUT: {
+        const size = Math.min(frames(params.duration), bounds.end - bounds.start);
+        fade(output, bounds.end - size, size, params.curve, false);
+        break;
+      }
+
+      case EDIT_TYPES.REVERSE:
+        output.forEach(data => data.reverse());
+        if (region) region = { start: length - region.end, end: length - region.start };
+        break;
+
+      case EDIT_TYPES.GAIN: {
+        const gain = Math.pow(10, params.db / 20);
+        output.forEach(data => {
+          for (let i = 0; i < length; i++) data[i] *= gain;
+        });
+        break;
+      }
+
+      // Mean of the kept region, taken out of the whole channel
+      case EDIT_TYPES.REMOVE_DC:
+        output.forEach(data => {
+          let sum = 0;
+          for (let i = bounds.start; i < bounds.end; i++) sum += data[i];
+          const offset = sum / (bounds.end - bounds.start);
+          for (let i = 0; i < length; i++) data[i] -= offset;
+        });
+        break;
+
+      // Silence at the trim start plays (a pre-delay); before it, it shifts the trim
+      case EDIT_TYPES.INSERT_SILENCE: {
+        const at = frames(params.position);
+        const size = Math.round(Math.max(0, Math.min(MAX_SILENCE, params.duration)) * sampleRate);
+        if (size === 0) break;
+
+        output = output.map(data => {
+          const padded = new Float32Array(length + size);
+          padded.set(data.subarray(0, at));
+          padded.set(data.subarray(at), at + size);
+          return padded;
+        });
+
+        if (region && at < region.start) {
+          region = { start: region.start + size, end: region.end + size };
+        } else if (region && at <= region.end) {
+          region = { start: region.start, end: region.end + size };
+        }
+        break;
+      }
+
+      // Target: the semitone nearest the median pitch of the kept region
+      case EDIT_TYPES.FLATTEN_PITCH: {
+        const contour = trackPitch(output[0], sampleRate);
+        const targetHz = nearestNoteHz(contour, bounds.start / sampleRate, bounds.end / sampleRate);
+        if (!targetHz) break; // Nothing voiced
+
+        const correction = pitchCorrection(contour, targetHz, params);
+        const ratioAt = (frame) => {
+          const i = Math.round((frame / sampleRate - contour.times[0]) / contour.hop);
+          return Math.pow(2, correction[Math.max(0, Math.min(correction.length - 1, i))] / 1200);
+        };
+
+        const marks = findPitchMarks(output[0], sampleRate, sampleRate / targetHz);
+        output = psolaShift(output, sampleRate, { marks, pitchRatio: ratioAt });
+        break;
+      }
+    }
+  }
+
+  return { channels: output, region };
+}
+
+// ─────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────
+
+// Gain through a fade in, x from 0 (silent) to 1 (full)
+function fadeGain(x, curve) {
+  switch (curve) {
+    case FADE_CURVES.EXPONENTIAL:
+      return (Math.pow(1000, x) - 1) / 999;
+    case FADE_CURVES.EQUAL_POWER:
+      return Math.sin(x * Math.PI / 2);
+    case FADE_CURVES.S_CURVE:
+      return 0.5 - 0.5 * Math.cos(x * Math.PI);
+    default:
+      return x;
+  }
+}
+
+// Equal-tempered frequency of the note nearest the median voiced pitch
+// between two times, or null when no frame there is voiced
+function nearestNoteHz(contour, start, end) {
+  const voiced = contour.hz
+    .filter((hz, i) => hz !== null && contour.times[i] >= start && contour.times[i] <= end)
+    .sort((a, b) => a - b);
+  if (voiced.length === 0) return null;
+
+  const midi = Math.round(69 + 12 * Math.log2(voiced[Math.floor(voiced.length / 2)] / 440));
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// Fade in starts silent at `start`; fade out reaches silence on its last frame
+function fade(channels, start, size, curve, fadeIn) {
+  if (size <= 0) return;
+
+  for (const data of channels) {
+    for (let i = 0; i < size; i++) {
+      const x = fadeIn ? i / size : 1 - (i + 1) / size;
+      data[start + i] *= fadeGain(x, curve);
+    }
+  }
+}
+
+export { EDIT_TYPES, FADE_CURVES, EDIT_DEFAULTS, applyEdits };
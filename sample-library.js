@@ -0,0 +1,177 @@
+/**
+ * SampleLibrary
+ * Keeps recorded and imported samples in the browser (IndexedDB), so they
+ * survive reloads and need no network:
+ * - The audio as captured or imported, with its analysis
+ *   (root, pitch confidence, loop points, duration)
+ * - A waveform thumbnail (one peak per column, 0-1)
+ * - Name and tags; search by text, filter by root note
+ */
+
+const DB_NAME = 'voiceSampler';
+const DB_VERSION = 1;
+const STORE = 'samples';
+
+class SampleLibrary {
+  constructor() {
+    this._db = null;
+
+    // Event callbacks
+    this._listeners = new Map();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Public API
+  // ─────────────────────────────────────────────────────────
+
+  // Rejects when IndexedDB is unavailable (e.g. some private windows)
+  async open() {
+    if (this._db) return this;
+
+    this._db = await new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('rootMidi', 'analysis.rootMidi');
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this;
+  }
+
+  // entry: { blob, name, tags, analysis (see VoiceSampler.getAnalysis), thumbnail }
+  // Resolves with the new entry's id
+  async add({ blob, name, tags = [], analysis, thumbnail = [] }) {
+    const entry = {
+      name: name?.trim() || 'Untitled',
+      tags: normalizeTags(tags),
+      blob,
+      analysis: { ...analysis },
+      thumbnail: Array.from(thumbnail),
+      createdAt: Date.now()
+    };
+
+    const id = await this._transaction('readwrite', store => store.add(entry));
+    this._emit('change', { type: 'add', id });
+    return id;
+  }
+
+  // changes: { name, tags }
+  async update(id, changes) {
+    await this._transaction('readwrite', store => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        store.put({
+          ...request.result,
+          ...(changes.name !== undefined ? { name: changes.name.trim() || 'Untitled' } : {}),
+          ...(changes.tags !== undefined ? { tags: normalizeTags(changes.tags) } : {})
+        });
+      };
+      return request;
+    });
+
+    this._emit('change', { type: 'update', id });
+    return this;
+  }
+
+  async remove(id) {
+    await this._transaction('readwrite', store => store.delete(id));
+    this._emit('change', { type: 'remove', id });
+    return this;
+  }
+
+  // Full entry including the audio blob, or null
+  async get(id) {
+    return (await this._transaction('readonly', store => store.get(id))) ?? null;
+  }
+
+  // Entries without their audio, newest first.
+  // options: { query (words matched against name and tags), rootMidi }
+  async list(options = {}) {
+    const { query = '', rootMidi = null } = options;
+
+    const entries = await this._transaction('readonly', store => rootMidi === null
+      ? store.getAll()
+      : store.index('rootMidi').getAll(rootMidi));
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return entries
+      .filter(entry => {
+        const text = [entry.name, ...entry.tags].join(' ').toLowerCase();
+        return words.every(word => text.includes(word));
+      })
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(({ blob, ...entry }) => ({ ...entry, size: blob.size, type: blob.type }));
+  }
+
+  // Root notes in the library with their entry counts, lowest first
+  async getRoots() {
+    const entries = await this.list();
+    const counts = new Map();
+    for (const entry of entries) {
+      const root = entry.analysis.rootMidi;
+      counts.set(root, (counts.get(root) ?? 0) + 1);
+    }
+    return [...counts].map(([rootMidi, count]) => ({ rootMidi, count })).sort((a, b) => a.rootMidi - b.rootMidi);
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    this._listeners.get(event)?.delete(callback);
+    return this;
+  }
+
+  dispose() {
+    this._db?.close();
+    this._db = null;
+    this._listeners.clear();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _emit(event, data = {}) {
+    this._listeners.get(event)?.forEach(cb => {
+      try { cb(data); } catch (e) { console.error(e); }
+    });
+  }
+
+  // Run a request in its own transaction; resolves with its result once committed
+  _transaction(mode, action) {
+    if (!this._db) return Promise.reject(new Error('Library is not open'));
+
+    return new Promise((resolve, reject) => {
+      const tx = this._db.transaction(STORE, mode);
+      const request = action(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+// Tags from an array or a comma-separated string: trimmed, lower case, unique
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+export { SampleLibrary };
@@ -0,0 +1,141 @@
+/**
+ * LookaheadScheduler
+ * Sample-accurate clock for musical events:
+ * - A coarse JS timer wakes up every few milliseconds
+ * - Every event due within the lookahead window is handed to the callback
+ *   with its exact AudioContext time, so the callback schedules audio ahead
+ * - The callback returns the time until the next event, so tempo and
+ *   swing changes apply from the next event on
+ *
+ * OfflineTimeline
+ * The same idea for an OfflineAudioContext, which renders faster than any
+ * timer: rendering suspends at the start of the render quantum holding a
+ * callback's time, runs it, and resumes
+ */
+
+class LookaheadScheduler {
+  constructor(audioContext, options = {}) {
+    this.ac = audioContext;
+
+    this.lookahead = options.lookahead ?? 0.1; // Schedule 100ms ahead
+    this.interval = options.interval ?? 25;    // Wake up every 25ms
+
+    this.running = false;
+    this.nextTime = 0;
+    this.step = 0;
+
+    this._callback = null;
+    this._intervalId = null;
+  }
+
+  // callback(time, step) schedules the event at `time` and returns the seconds
+  // until the next one, or null to stop the clock
+  start(callback, startTime = this.ac.currentTime) {
+    this.stop();
+
+    this.running = true;
+    this.nextTime = startTime;
+    this.step = 0;
+    this._callback = callback;
+
+    this._intervalId = setInterval(() => this._tick(), this.interval);
+    this._tick(); // Run immediately
+
+    return this;
+  }
+
+  stop() {
+    this.running = false;
+
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+
+    this._callback = null;
+    return this;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _tick() {
+    while (this.running && this.nextTime < this.ac.currentTime + this.lookahead) {
+      let delta = null;
+      try {
+        delta = this._callback(this.nextTime, this.step);
+      } catch (e) {
+        console.error(e);
+      }
+
+      if (!(delta > 0)) {
+        this.stop();
+        return;
+      }
+
+      this.nextTime += delta;
+      this.step++;
+    }
+  }
+}
+
+class OfflineTimeline {
+  static QUANTUM = 128; // Frames per render quantum
+
+  constructor(context) {
+    this.ac = context;
+    this._pending = new Map(); // Quantum start frame -> callbacks
+  }
+
+  // Runs right away when the time is already inside the current quantum
+  at(time, callback) {
+    const { QUANTUM } = OfflineTimeline;
+    const frame = Math.floor(time * this.ac.sampleRate / QUANTUM) * QUANTUM;
+    const current = Math.round(this.ac.currentTime * this.ac.sampleRate);
+
+    if (frame <= current) {
+      callback();
+      return this;
+    }
+    if (frame >= this.ac.length) return this; // Past the end of the render
+
+    if (!this._pending.has(frame)) {
+      this._pending.set(frame, []);
+      // Half a frame in, so rounding can never land on the quantum before
+      this.ac.suspend((frame + 0.5) / this.ac.sampleRate)
+        .then(() => this._run(frame))
+        .catch(e => console.error(`Offline events at frame ${frame} were not scheduled:`, e));
+    }
+    this._pending.get(frame).push(callback);
+    return this;
+  }
+
+  // Callbacks still waiting; 0 once a render has run to the end
+  get pendingCount() {
+    let count = 0;
+    for (const callbacks of this._pending.values()) count += callbacks.length;
+    return count;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _run(frame) {
+    const callbacks = this._pending.get(frame) ?? [];
+    this._pending.delete(frame);
+
+    for (const callback of callbacks) {
+      try {
+        callback();
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    this.ac.resume();
+  }
+}
+
+export { LookaheadScheduler, OfflineTimeline };
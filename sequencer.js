@@ -0,0 +1,321 @@
+/**
+ * StepSequencer
+ * Pattern player for the sampled instrument:
+ * - 16-64 steps, one lane per note
+ * - Per-step velocity, length and tie into the next step
+ * - Pattern chaining
+ * - Clocked by the sampler's BPM on the lookahead scheduler; notes go through
+ *   the sampler with exact times, so they land in performance recordings
+ * - Patterns serialize to plain JSON for saving
+ */
+
+import { LookaheadScheduler } from './scheduler.js';
+
+class StepSequencer {
+  static MIN_STEPS = 16;
+  static MAX_STEPS = 64;
+
+  // Lanes for a new, empty sequencer: one octave of C major from middle C
+  static DEFAULT_LANES = [72, 71, 69, 67, 65, 64, 62, 60];
+
+  constructor(sampler) {
+    this.sampler = sampler;
+    this.clock = new LookaheadScheduler(sampler.ac);
+
+    this.patterns = [];
+    this.patternCounter = 0;
+    this.selectedId = null;
+    this.chain = []; // Pattern ids in play order; empty plays the selected pattern
+
+    this.playing = false;
+    this.position = { chainIndex: 0, step: 0 };
+
+    // Event callbacks
+    this._listeners = new Map();
+
+    this.addPattern();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Patterns
+  // ─────────────────────────────────────────────────────────
+
+  // New pattern with the selected pattern's lanes (or the default lanes) and no steps
+  addPattern(props = {}) {
+    const template = this.getPattern();
+    const length = this._clampLength(props.length ?? template?.length ?? StepSequencer.MIN_STEPS);
+    const notes = props.notes ?? template?.lanes.map(l => l.note) ?? StepSequencer.DEFAULT_LANES;
+
+    const pattern = {
+      id: ++this.patternCounter,
+      name: props.name ?? `Pattern ${this.patternCounter}`,
+      length,
+      division: props.division ?? 0.25, // Beats per step (0.25 = 16th notes)
+      lanes: notes.map(note => ({ note, steps: new Array(length).fill(null) }))
+    };
+
+    this.patterns.push(pattern);
+    this.selectedId = pattern.id;
+
+    this._emit('patternsChange', { patterns: this.getPatterns() });
+    return pattern;
+  }
+
+  removePattern(id) {
+    if (this.patterns.length <= 1) return this;
+
+    this.patterns = this.patterns.filter(p => p.id !== id);
+    this.chain = this.chain.filter(chainId => chainId !== id);
+    if (this.selectedId === id) this.selectedId = this.patterns[0].id;
+
+    this._emit('patternsChange', { patterns: this.getPatterns() });
+    return this;
+  }
+
+  selectPattern(id) {
+    if (this.getPattern(id)) {
+      this.selectedId = id;
+      this._emit('patternsChange', { patterns: this.getPatterns() });
+    }
+    return this;
+  }
+
+  getPattern(id = this.selectedId) {
+    return this.patterns.find(p => p.id === id) ?? null;
+  }
+
+  getPatterns() {
+    return this.patterns.map(p => ({
+      id: p.id,
+      name: p.name,
+      length: p.length,
+      lanes: p.lanes.length,
+      selected: p.id === this.selectedId
+    }));
+  }
+
+  // Resize all lanes; steps past the new end are dropped
+  setLength(id, length) {
+    const pattern = this.getPattern(id);
+    if (!pattern) return this;
+
+    pattern.length = this._clampLength(length);
+    for (const lane of pattern.lanes) {
+      lane.steps = Array.from({ length: pattern.length }, (_, i) => lane.steps[i] ?? null);
+    }
+
+    this._emit('patternChange', { id });
+    return this;
+  }
+
+  setDivision(id, division) {
+    const pattern = this.getPattern(id);
+    if (pattern) pattern.division = division;
+    return this;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Lanes and Steps
+  // ─────────────────────────────────────────────────────────
+
+  // Lanes are kept sorted high to low, one per note
+  addLane(id, note) {
+    const pattern = this.getPattern(id);
+    if (!pattern || pattern.lanes.some(l => l.note === note)) return this;
+
+    pattern.lanes.push({ note, steps: new Array(pattern.length).fill(null) });
+    pattern.lanes.sort((a, b) => b.note - a.note);
+
+    this._emit('patternChange', { id });
+    return this;
+  }
+
+  removeLane(id, laneIndex) {
+    const pattern = this.getPattern(id);
+    if (!pattern || pattern.lanes.length <= 1) return this;
+
+    pattern.lanes.splice(laneIndex, 1);
+    this._emit('patternChange', { id });
+    return this;
+  }
+
+  // data: { velocity 0-1, length 0-1 of a step, tie } or null to clear
+  setStep(id, laneIndex, step, data) {
+    const lane = this.getPattern(id)?.lanes[laneIndex];
+    if (!lane || step < 0 || step >= lane.steps.length) return this;
+
+    lane.steps[step] = data ? {
+      velocity: Math.max(0, Math.min(1, data.velocity ?? 0.8)),
+      length: Math.max(0.05, Math.min(1, data.length ?? 0.9)),
+      tie: !!data.tie
+    } : null;
+
+    this._emit('patternChange', { id });
+    return this;
+  }
+
+  toggleStep(id, laneIndex, step, defaults = {}) {
+    const lane = this.getPattern(id)?.lanes[laneIndex];
+    if (!lane) return this;
+    return this.setStep(id, laneIndex, step, lane.steps[step] ? null : defaults);
+  }
+
+  getStep(id, laneIndex, step) {
+    return this.getPattern(id)?.lanes[laneIndex]?.steps[step] ?? null;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Transport
+  // ─────────────────────────────────────────────────────────
+
+  setChain(ids) {
+    this.chain = ids.filter(id => this.getPattern(id));
+    this._emit('chainChange', { chain: [...this.chain] });
+    return this;
+  }
+
+  start() {
+    if (this.playing) return this;
+
+    this.playing = true;
+    this.position = { chainIndex: 0, step: 0 };
+    this.clock.start((time) => this._playStep(time), this.sampler.ac.currentTime + 0.05);
+
+    this._emit('start');
+    return this;
+  }
+
+  // Notes already scheduled still finish
+  stop() {
+    if (!this.playing) return this;
+
+    this.playing = false;
+    this.clock.stop();
+
+    this._emit('stop');
+    return this;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Save / Load
+  // ─────────────────────────────────────────────────────────
+
+  serialize() {
+    return {
+      version: 1,
+      patterns: this.patterns.map(p => ({
+        ...p,
+        lanes: p.lanes.map(l => ({ note: l.note, steps: l.steps.map(s => s && { ...s }) }))
+      })),
+      chain: [...this.chain],
+      selectedId: this.selectedId
+    };
+  }
+
+  load(data) {
+    if (!data || !Array.isArray(data.patterns) || data.patterns.length === 0) {
+      throw new Error('Invalid sequencer data');
+    }
+
+    this.stop();
+    this.patterns = data.patterns.map(p => {
+      const length = this._clampLength(p.length);
+      return {
+        id: p.id,
+        name: p.name,
+        length,
+        division: p.division ?? 0.25,
+        lanes: p.lanes.map(l => ({
+          note: l.note,
+          steps: Array.from({ length }, (_, i) => l.steps[i] ? { ...l.steps[i] } : null)
+        }))
+      };
+    });
+    this.patternCounter = Math.max(...this.patterns.map(p => p.id));
+    this.selectedId = this.getPattern(data.selectedId) ? data.selectedId : this.patterns[0].id;
+    this.chain = (data.chain ?? []).filter(id => this.getPattern(id));
+
+    this._emit('patternsChange', { patterns: this.getPatterns() });
+    this._emit('chainChange', { chain: [...this.chain] });
+    return this;
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    this._listeners.get(event)?.delete(callback);
+    return this;
+  }
+
+  dispose() {
+    this.stop();
+    this._listeners.clear();
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Private Methods
+  // ─────────────────────────────────────────────────────────
+
+  _emit(event, data = {}) {
+    this._listeners.get(event)?.forEach(cb => {
+      try { cb(data); } catch (e) { console.error(e); }
+    });
+  }
+
+  _clampLength(length) {
+    return Math.max(StepSequencer.MIN_STEPS, Math.min(StepSequencer.MAX_STEPS, Math.round(length) || 0));
+  }
+
+  _getPlayingPattern() {
+    const chained = this.chain.length > 0 ? this.getPattern(this.chain[this.position.chainIndex]) : null;
+    return chained ?? this.getPattern();
+  }
+
+  // Clock callback: schedule every lane's note for this step, then advance
+  _playStep(time) {
+    if (!this.playing) return null;
+
+    const pattern = this._getPlayingPattern();
+    const { step } = this.position;
+    const stepDuration = (60 / this.sampler.tempo.bpm) * pattern.division;
+
+    for (const lane of pattern.lanes) {
+      const cell = lane.steps[step];
+      if (!cell) continue;
+
+      // Tied from the previous step: the note is already sounding
+      const prev = lane.steps[step - 1];
+      if (prev?.tie) continue;
+
+      // Hold through the chain of ties, then for the last step's length
+      let last = step;
+      while (lane.steps[last].tie && lane.steps[last + 1]) last++;
+      const duration = (last - step + lane.steps[last].length) * stepDuration;
+
+      this.sampler.noteOn(lane.note, cell.velocity, { time });
+      this.sampler.noteOff(lane.note, { time: time + duration });
+    }
+
+    this._emit('step', { patternId: pattern.id, step, time });
+
+    // Advance, moving along the chain at the end of the pattern
+    this.position.step++;
+    if (this.position.step >= pattern.length) {
+      this.position.step = 0;
+      if (this.chain.length > 0) {
+        this.position.chainIndex = (this.position.chainIndex + 1) % this.chain.length;
+      }
+    }
+
+    return stepDuration;
+  }
+}
+
+export { StepSequencer };
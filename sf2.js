@@ -0,0 +1,247 @@
+/**
+ * SoundFont 2
+ * Writes one sample as a RIFF sfbk file with a single preset, for players
+ * that only take SoundFonts (trackers, General MIDI players, FluidSynth):
+ * - 16-bit mono sample data (channels are mixed down)
+ * - Root key, fine tune and loop points in the sample header
+ * - One instrument zone: key/velocity range, loop mode, volume ADSR
+ * - The preset (bank 0, program 0) plays that instrument
+ */
+
+// sampleModes generator values
+const SAMPLE_MODES = {
+  NO_LOOP: 0,
+  LOOP: 1,              // Loop until the voice has faded out
+  LOOP_UNTIL_RELEASE: 3 // Loop while the key is held, then play to the end
+};
+
+// Generator operators used here (SoundFont 2.01, section 8.1.2)
+const GEN = {
+  startAddrsOffset: 0,
+  endAddrsOffset: 1,
+  startAddrsCoarseOffset: 4,
+  endAddrsCoarseOffset: 12,
+  attackVolEnv: 34,
+  decayVolEnv: 36,
+  sustainVolEnv: 37,
+  releaseVolEnv: 38,
+  instrument: 41,
+  keyRange: 43,
+  velRange: 44,
+  sampleID: 53,
+  sampleModes: 54,
+  overridingRootKey: 58
+};
+
+// Sample data must be followed by at least 46 zero points
+const SAMPLE_PADDING = 46;
+
+// ─────────────────────────────────────────────────────────
+// Writing
+// ─────────────────────────────────────────────────────────
+
+// instrument: { name, buffer (AudioBuffer), rootMidi, cents (the sample's pitch above rootMidi),
+//   loop: { start, end (frames, end exclusive) } | null, sampleMode,
+//   start, end (frames played, default the whole buffer),
+//   lowKey, highKey, lowVel, highVel, envelope: { attack, decay, sustain (0-1), release } }
+function encodeSoundFont(instrument) {
+  const { buffer } = instrument;
+  const name = instrument.name ?? 'Voice Sampler';
+  const length = buffer.length;
+  const gens = zoneGenerators(instrument, length);
+
+  const info = list('INFO', [
+    chunk('ifil', uint16le(2, 1)), // Version 2.01
+    chunk('isng', zstr('EMU8000')),
+    chunk('INAM', zstr(name)),
+    chunk('ISFT', zstr('Voice Sampler'))
+  ]);
+
+  const sdta = list('sdta', [chunk('smpl', sampleData(buffer))]);
+
+  const pdta = list('pdta', [
+    chunk('phdr', concat([presetHeader(name, 0), presetHeader('EOP', 1)])),
+    chunk('pbag', uint16le(0, 0, 1, 0)),
+    chunk('pmod', new Uint8Array(10)),
+    chunk('pgen', concat([generator(GEN.instrument, 0), new Uint8Array(4)])),
+    chunk('inst', concat([instrumentHeader(name, 0), instrumentHeader('EOI', 1)])),
+    chunk('ibag', uint16le(0, 0, gens.length, 0)),
+    chunk('imod', new Uint8Array(10)),
+    chunk('igen', concat([...gens, new Uint8Array(4)])),
+    chunk('shdr', concat([sampleHeader(instrument, length), sampleHeader({ name: 'EOS' }, 0)]))
+  ]);
+
+  const body = concat([textBytes('sfbk'), info, sdta, pdta]);
+  return concat([textBytes('RIFF'), uint32le(body.length), body]).buffer;
+}
+
+// Zone generators: keyRange and velRange must come first, sampleID last
+function zoneGenerators(instrument, length) {
+  const start = Math.max(0, Math.min(length, instrument.start ?? 0));
+  const end = Math.max(start, Math.min(length, instrument.end ?? length));
+  const env = instrument.envelope ?? {};
+  return [
+    rangeGenerator(GEN.keyRange, instrument.lowKey ?? 0, instrument.highKey ?? 127),
+    rangeGenerator(GEN.velRange, instrument.lowVel ?? 0, instrument.highVel ?? 127),
+    ...offsetGenerators(GEN.startAddrsOffset, GEN.startAddrsCoarseOffset, start),
+    ...offsetGenerators(GEN.endAddrsOffset, GEN.endAddrsCoarseOffset, end - length),
+    generator(GEN.attackVolEnv, timecents(env.attack ?? 0)),
+    generator(GEN.decayVolEnv, timecents(env.decay ?? 0)),
+    generator(GEN.sustainVolEnv, sustainCentibels(env.sustain ?? 1)),
+    generator(GEN.releaseVolEnv, timecents(env.release ?? 0)),
+    generator(GEN.sampleModes, instrument.loop ? instrument.sampleMode ?? SAMPLE_MODES.LOOP : SAMPLE_MODES.NO_LOOP),
+    generator(GEN.overridingRootKey, instrument.rootMidi ?? 60),
+    generator(GEN.sampleID, 0)
+  ];
+}
+
+// Offsets beyond ±32767 frames are split into a coarse (32768 frame) part
+function offsetGenerators(fine, coarse, frames) {
+  if (frames === 0) return [];
+  const coarseFrames = Math.trunc(frames / 32768);
+  return [
+    generator(fine, frames - coarseFrames * 32768),
+    ...(coarseFrames !== 0 ? [generator(coarse, coarseFrames)] : [])
+  ];
+}
+
+function sampleHeader(instrument, length) {
+  const data = new DataView(new ArrayBuffer(46));
+  writeName(data, 0, instrument.name ?? '');
+  if (length === 0) return new Uint8Array(data.buffer); // Terminal record
+
+  const loop = instrument.loop ?? { start: 0, end: length };
+  const cents = Math.max(-50, Math.min(50, Math.round(instrument.cents ?? 0)));
+
+  data.setUint32(20, 0, true);                 // Start
+  data.setUint32(24, length, true);            // End (first padding point)
+  data.setUint32(28, Math.max(0, Math.min(length, loop.start)), true);
+  data.setUint32(32, Math.max(0, Math.min(length, loop.end)), true); // First point after the loop
+  data.setUint32(36, instrument.buffer.sampleRate, true);
+  data.setUint8(40, (instrument.rootMidi ?? 60) & 0x7f);
+  data.setInt8(41, -cents);                    // Correction to apply on playback
+  data.setUint16(42, 0, true);                 // No linked sample
+  data.setUint16(44, 1, true);                 // Mono sample
+  return new Uint8Array(data.buffer);
+}
+
+function presetHeader(name, bagIndex) {
+  const data = new DataView(new ArrayBuffer(38));
+  writeName(data, 0, name);
+  data.setUint16(20, 0, true); // Program
+  data.setUint16(22, 0, true); // Bank
+  data.setUint16(24, bagIndex, true);
+  return new Uint8Array(data.buffer);
+}
+
+function instrumentHeader(name, bagIndex) {
+  const data = new DataView(new ArrayBuffer(22));
+  writeName(data, 0, name);
+  data.setUint16(20, bagIndex, true);
+  return new Uint8Array(data.buffer);
+}
+
+// Mono 16-bit PCM followed by the zero padding
+function sampleData(buffer) {
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    channels.push(buffer.getChannelData(ch));
+  }
+
+  const view = new DataView(new ArrayBuffer((buffer.length + SAMPLE_PADDING) * 2));
+  for (let i = 0; i < buffer.length; i++) {
+    let sum = 0;
+    for (const data of channels) sum += data[i];
+    const sample = Math.max(-1, Math.min(1, sum / channels.length));
+    view.setInt16(i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+  }
+  return new Uint8Array(view.buffer);
+}
+
+// ─────────────────────────────────────────────────────────
+// Units
+// ─────────────────────────────────────────────────────────
+
+// Envelope times as timecents (1200 × log2 seconds); -12000 is about 1 ms
+function timecents(seconds) {
+  if (seconds <= 0.001) return -12000;
+  return Math.max(-12000, Math.min(8000, Math.round(1200 * Math.log2(seconds))));
+}
+
+// Sustain level as attenuation in centibels below full (144 dB is silence)
+function sustainCentibels(level) {
+  if (level <= 0) return 1440;
+  return Math.max(0, Math.min(1440, Math.round(-200 * Math.log10(level))));
+}
+
+// ─────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────
+
+function generator(oper, amount) {
+  const data = new DataView(new ArrayBuffer(4));
+  data.setUint16(0, oper, true);
+  data.setInt16(2, amount, true);
+  return new Uint8Array(data.buffer);
+}
+
+function rangeGenerator(oper, low, high) {
+  return new Uint8Array([oper & 0xff, oper >> 8, low & 0x7f, high & 0x7f]);
+}
+
+function chunk(id, data) {
+  const padded = new Uint8Array(8 + data.length + (data.length & 1));
+  padded.set(textBytes(id), 0);
+  padded.set(uint32le(data.length), 4);
+  padded.set(data, 8);
+  return padded;
+}
+
+function list(type, chunks) {
+  const body = concat([textBytes(type), ...chunks]);
+  return concat([textBytes('LIST'), uint32le(body.length), body]);
+}
+
+// Zero-terminated ASCII string padded to an even length
+function zstr(text) {
+  const bytes = textBytes(text.replace(/[^\x20-\x7e]/g, '_').slice(0, 255));
+  const data = new Uint8Array(bytes.length + 2 - (bytes.length & 1));
+  data.set(bytes);
+  return data;
+}
+
+// 20-byte name fields are ASCII and zero-terminated
+function writeName(view, offset, name) {
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_').slice(0, 19);
+  for (let i = 0; i < ascii.length; i++) {
+    view.setUint8(offset + i, ascii.charCodeAt(i));
+  }
+}
+
+function textBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+function uint32le(value) {
+  const data = new DataView(new ArrayBuffer(4));
+  data.setUint32(0, value, true);
+  return new Uint8Array(data.buffer);
+}
+
+function uint16le(...values) {
+  const data = new DataView(new ArrayBuffer(values.length * 2));
+  values.forEach((value, i) => data.setUint16(i * 2, value, true));
+  return new Uint8Array(data.buffer);
+}
+
+function concat(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+export { SAMPLE_MODES, encodeSoundFont };
@@ -1,14 +1,44 @@
 /**
  * VoiceSampler v2.0
  * High-quality voice sampler with:
- * - YIN pitch detection (more accurate than autocorrelation)
- * - Crossfade looping (click-free)
+ * - YIN pitch detection (more accurate than autocorrelation), plus a
+ *   frame-by-frame pitch contour with vibrato and stable segments
+ * - Crossfade looping (click-free), with ranked loop candidates scored on
+ *   seam correlation, spectral similarity and amplitude stability
+ * - Loop modes: one-shot, forward, ping-pong, reverse, release tail
+ * - Multi-sample key zones and velocity layers
+ * - Round-robin / random take groups
+ * - Tempo sync by resampling or WSOLA time-stretch (pitch preserved)
+ * - Formant-preserving PSOLA pitch mode with independent formant shift
  * - Voice pooling with steal modes
+ * - Mono legato mode with glide and note priority
  * - Optional normalization
- * - Filter per voice for expressiveness
+ * - Per-voice filter with its own ADSR envelope
+ * - LFO modulation matrix (pitch, cutoff, amplitude, pan)
+ * - Performance recording as audio plus note/controller events (MIDI file export)
+ * - Offline, faster-than-realtime rendering of event lists (OfflineAudioContext)
+ * - WAV export (16/24/32-bit float) with root note and loop in smpl/cue/inst chunks;
+ *   the same chunks are used instead of detection when importing WAV files
+ * - Non-destructive sample edits (trim, fades, reverse, gain, DC removal,
+ *   silence, pitch flattening), re-rendered from the source and re-analyzed
+ *   (root, loop) on every change
+ * - Edit snapshots (zones, envelope, tempo) for undo/redo
+ * - Project save/open: settings, zones and their audio in one zip
+ * - Instrument export through pluggable exporters: SFZ and DecentSampler bundles
+ *   (zipped in the browser), SoundFont 2
  * - Event system for UI integration
  */
 
+import { wsolaStretch, findPitchMarks, psolaShift } from './dsp.js';
+import { LookaheadScheduler, OfflineTimeline } from './scheduler.js';
+import { writeMidiFile } from './midi-file.js';
+import { encodeWav, readWavMetadata, decodeWav, LOOP_TYPES } from './wav.js';
+import { createZip, readZip } from './zip.js';
+import { getExporter } from './exporters.js';
+import { EDIT_TYPES, FADE_CURVES, EDIT_DEFAULTS, applyEdits } from './sample-edits.js';
+import { trackPitch, analyzeVibrato, findStableSegments } from './pitch.js';
+import { findLoopCandidates } from './loop-candidates.js';
+
 class VoiceSampler {
   static STEAL_MODES = {
     NONE: 'none',        // Reject new notes when full
@@ -16,19 +46,83 @@ class VoiceSampler {
     QUIETEST: 'quietest' // Steal quietest voice
   };
 
+  static VOICE_MODES = {
+    POLY: 'poly', // One voice per note
+    MONO: 'mono'  // One voice, retuned legato (glide) while keys overlap
+  };
+
+  static NOTE_PRIORITIES = {
+    LAST: 'last',       // Most recently pressed key sounds
+    LOWEST: 'lowest',   // Lowest held key sounds
+    HIGHEST: 'highest'  // Highest held key sounds
+  };
+
+  static STRETCH_MODES = {
+    RESAMPLE: 'resample',       // Tempo sync changes speed and pitch together
+    TIME_STRETCH: 'timeStretch' // Tempo sync changes duration only
+  };
+
+  static PITCH_MODES = {
+    RESAMPLE: 'resample', // Playback rate (classic sampler, formants move with pitch)
+    FORMANT: 'formant'    // PSOLA (formants stay, vowels keep their character)
+  };
+
+  static LOOP_MODES = {
+    ONE_SHOT: 'oneShot',        // Play sampleStart to sampleEnd once, ignore noteOff
+    FORWARD: 'forward',         // Loop forward until released
+    PING_PONG: 'pingPong',      // Loop forward then backward
+    REVERSE: 'reverse',         // Play backward from sampleEnd, loop backward
+    RELEASE_TAIL: 'releaseTail' // Loop while held, play on to sampleEnd on noteOff
+  };
+
+  static FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+
+  static EDIT_TYPES = EDIT_TYPES;
+
+  static FADE_CURVES = FADE_CURVES;
+
+  static LFO_SHAPES = ['sine', 'triangle', 'square', 'sawtooth'];
+
+  // Depth units per target: cents (pitch, cutoff), 0-1 (amp, pan)
+  static LFO_TARGETS = {
+    PITCH: 'pitch',
+    CUTOFF: 'cutoff',
+    AMP: 'amp',
+    PAN: 'pan'
+  };
+
+  static GROUP_MODES = {
+    ROUND_ROBIN: 'roundRobin', // Cycle through takes in order
+    RANDOM: 'random'           // Random take, never the same twice in a row
+  };
+
+  // project.json format; bump when saved fields change meaning
+  static PROJECT_VERSION = 1;
+
   constructor(audioContext, options = {}) {
     this.ac = audioContext;
-    this.buffer = null;
-    this.crossfadeBuffer = null; // Pre-rendered crossfade loop
+
+    // Instrument: each zone holds its own sample, root, key/velocity range and loop.
+    // The single-sample API (buffer, rootMidi, loop points...) targets the selected zone.
+    this.zones = [];
+    this.zone = null;
+    this.zoneCounter = 0;
+    this._takeState = new Map(); // `${group}:${note}` -> index of the last take played
 
     // Configuration with defaults
     this.config = {
       maxPolyphony: options.maxPolyphony ?? 8,
       stealMode: options.stealMode ?? VoiceSampler.STEAL_MODES.OLDEST,
+      voiceMode: options.voiceMode ?? VoiceSampler.VOICE_MODES.POLY,
+      glideTime: options.glideTime ?? 0.08,      // Mono portamento in seconds
+      notePriority: options.notePriority ?? VoiceSampler.NOTE_PRIORITIES.LAST,
       crossfadeDuration: options.crossfadeDuration ?? 0.015, // 15ms crossfade
       normalize: options.normalize ?? true,
-      defaultFilterFreq: options.defaultFilterFreq ?? 8000,
-      useFilter: options.useFilter ?? false
+      pitchMode: options.pitchMode ?? VoiceSampler.PITCH_MODES.RESAMPLE,
+      formantShift: options.formantShift ?? 0,    // Semitones, formant mode only
+      pitchBendRange: options.pitchBendRange ?? 2, // Semitones at full bend
+      vibratoRate: options.vibratoRate ?? 5.5,     // Mod wheel vibrato in Hz
+      vibratoDepth: options.vibratoDepth ?? 50     // Cents at full mod wheel
     };
 
     // BPM / Tempo sync configuration
@@ -39,16 +133,10 @@ class VoiceSampler {
       // Note division: how many beats the loop should last
       // 0.5 = 8th note (half a beat), 1 = quarter note (1 beat),
       // 2 = half note, 4 = whole note, etc.
-      noteDivision: options.noteDivision ?? 1
+      noteDivision: options.noteDivision ?? 1,
+      stretchMode: options.stretchMode ?? VoiceSampler.STRETCH_MODES.RESAMPLE
     };
 
-    // Sample parameters
-    this.rootMidi = 60;
-    this.loopStart = 0;
-    this.loopEnd = 0;
-    this.sampleStart = 0;
-    this.sampleEnd = 0;
-
     // ADSR envelope
     this.env = {
       attack: 0.01,
@@ -57,6 +145,32 @@ class VoiceSampler {
       release: 0.18
     };
 
+    // Per-voice filter. The envelope and cutoff LFO move it in cents via detune.
+    this.filter = {
+      enabled: options.useFilter ?? false,
+      type: 'lowpass',
+      cutoff: options.defaultFilterFreq ?? 8000, // Hz
+      resonance: 1,                              // Q
+      envAmount: 0,                              // Octaves at envelope peak (-4..4)
+      velocity: 1                                // How much low velocity darkens (0-1)
+    };
+
+    // Filter ADSR envelope
+    this.filterEnv = {
+      attack: 0.01,
+      decay: 0.2,
+      sustain: 0.5,
+      release: 0.2
+    };
+
+    // Modulation matrix: free-running LFOs, each with a depth per target
+    this.lfos = [0, 1].map(() => ({
+      rate: 5,
+      shape: 'sine',
+      depths: { pitch: 0, cutoff: 0, amp: 0, pan: 0 }
+    }));
+    this._lfoNodes = []; // Oscillator + depth gains per LFO, created on first use
+
     // Output chain
     this.output = this.ac.createGain();
     this.output.gain.value = 0.9;
@@ -65,18 +179,32 @@ class VoiceSampler {
     this.activeVoices = new Map();
     this.voiceCounter = 0;
 
+    // Performance controllers (pitch bend -1..1, mod wheel 0..1, sustain pedal)
+    this.controllers = {
+      pitchBend: 0,
+      modWheel: 0,
+      sustain: false
+    };
+    this._sustainedNotes = new Set();
+    this._pedalChanges = []; // Scheduled sustain pedal moves not reached yet: { time, down }
+    this._heldNotes = []; // Mono mode: keys still down, in press order
+    this._vibrato = null; // Shared vibrato LFO, created on first use
+    this._pitchMarks = new WeakMap(); // Sample buffer -> PSOLA pitch marks (outside the bounded render cache)
+    this._pendingRenders = new Map(); // 'zoneId:key' -> render job, run between notes
+    this._renderTimer = null;
+    this._prerenderTimer = null;
+
     // Event callbacks
     this._listeners = new Map();
 
-    // Analysis cache
-    this._analysisCache = null;
+    // Set on the copy that renders offline; timed callbacks go through it
+    this._timeline = null;
 
     // Metronome
     this.metronome = {
       enabled: false,
       gain: null,
-      intervalId: null,
-      nextTickTime: 0,
+      clock: new LookaheadScheduler(this.ac),
       ticksPerBeat: 1,
       volume: 0.5
     };
@@ -87,10 +215,37 @@ class VoiceSampler {
       mediaRecorder: null,
       destination: null,
       chunks: [],
-      startTime: 0
+      startTime: 0,
+      audioStartTime: 0, // AudioContext time of the take's first sample
+      duration: 0,       // Seconds, set when the take stops
+      events: []         // Timestamped noteOn/noteOff/controller events of the take
     };
   }
 
+  // ─────────────────────────────────────────────────────────
+  // Selected Zone Accessors
+  // ─────────────────────────────────────────────────────────
+
+  get buffer() { return this.zone?.buffer ?? null; }
+  get crossfadeBuffer() { return this.zone?.crossfadeBuffer ?? null; } // Pre-rendered crossfade loop
+
+  get rootMidi() { return this.zone?.rootMidi ?? 60; }
+  set rootMidi(value) { if (this.zone) this.zone.rootMidi = value; }
+
+  get loopStart() { return this.zone?.loopStart ?? 0; }
+  set loopStart(value) { if (this.zone) this.zone.loopStart = value; }
+
+  get loopEnd() { return this.zone?.loopEnd ?? 0; }
+  set loopEnd(value) { if (this.zone) this.zone.loopEnd = value; }
+
+  get sampleStart() { return this.zone?.sampleStart ?? 0; }
+  set sampleStart(value) { if (this.zone) this.zone.sampleStart = value; }
+
+  get sampleEnd() { return this.zone?.sampleEnd ?? 0; }
+  set sampleEnd(value) { if (this.zone) this.zone.sampleEnd = value; }
+
+  get loopMode() { return this.zone?.loopMode ?? VoiceSampler.LOOP_MODES.FORWARD; }
+
   // ─────────────────────────────────────────────────────────
   // Public API
   // ─────────────────────────────────────────────────────────
@@ -110,17 +265,115 @@ class VoiceSampler {
     return this;
   }
 
+  setFilter(params) {
+    this.filter = { ...this.filter, ...params };
+    this.filter.envAmount = Math.max(-4, Math.min(4, this.filter.envAmount));
+
+    // Type, cutoff and resonance follow on held notes
+    const now = this.ac.currentTime;
+    for (const voice of this.activeVoices.values()) {
+      if (!voice.filter) continue;
+      voice.filter.type = this.filter.type;
+      voice.filter.frequency.setTargetAtTime(this._getFilterCutoff(voice.velocity), now, 0.01);
+      voice.filter.Q.setTargetAtTime(this.filter.resonance, now, 0.01);
+    }
+    return this;
+  }
+
+  setFilterEnvelope(env) {
+    this.filterEnv = { ...this.filterEnv, ...env };
+    return this;
+  }
+
+  // params: { rate, shape, depths: { pitch, cutoff, amp, pan } }
+  setLfo(index, params) {
+    const lfo = this.lfos[index];
+    if (!lfo) return this;
+
+    Object.assign(lfo, params, { depths: { ...lfo.depths, ...params.depths } });
+
+    const nodes = this._lfoNodes[index];
+    if (nodes) {
+      const now = this.ac.currentTime;
+      nodes.osc.type = lfo.shape;
+      nodes.osc.frequency.setTargetAtTime(lfo.rate, now, 0.02);
+      for (const target of Object.values(VoiceSampler.LFO_TARGETS)) {
+        nodes.depths[target].gain.setTargetAtTime(this._getLfoDepth(lfo, target), now, 0.02);
+      }
+    }
+    return this;
+  }
+
+  getLfos() {
+    return this.lfos.map(lfo => ({ ...lfo, depths: { ...lfo.depths } }));
+  }
+
   setLoopPoints(start, end) {
     if (this.buffer) {
       this.loopStart = Math.max(0, Math.min(start, this.buffer.duration));
       this.loopEnd = Math.max(this.loopStart + 0.01, Math.min(end, this.buffer.duration));
+      this.zone.loopSet = true;
       this._buildCrossfadeBuffer();
     }
     return this;
   }
 
+  // Detected loops, best first: [{ loopStart, loopEnd, score, correlation, spectral, stability }]
+  getLoopCandidates() {
+    return this.zone?.analysis?.loopCandidates ?? [];
+  }
+
+  selectLoopCandidate(index) {
+    const candidate = this.getLoopCandidates()[index];
+    if (candidate) {
+      this.setLoopPoints(candidate.loopStart, candidate.loopEnd);
+      this.zone.loopSet = false; // Still a detected loop: edits re-detect it on their audio
+    }
+    return this;
+  }
+
+  setLoopMode(mode) {
+    if (this.zone && this.zone.loopMode !== mode) {
+      this.zone.loopMode = mode;
+      this.zone.renderCache = new Map(); // Rendered sources depend on the mode
+      this._queuePrerender();
+      this._emit('zonesChange', { zones: this.getZones() });
+    }
+    return this;
+  }
+
   setRootNote(midiNote) {
     this.rootMidi = Math.max(0, Math.min(127, Math.round(midiNote)));
+    this._queuePrerender();
+    return this;
+  }
+
+  setVoiceMode(mode) {
+    this.config.voiceMode = mode;
+    this._heldNotes = [];
+    return this;
+  }
+
+  setGlide(seconds) {
+    this.config.glideTime = Math.max(0, seconds);
+    return this;
+  }
+
+  setNotePriority(priority) {
+    this.config.notePriority = priority;
+    return this;
+  }
+
+  setPitchMode(mode) {
+    this.config.pitchMode = mode;
+    this._queuePrerender();
+    return this;
+  }
+
+  // Move formants independently of pitch (semitones, formant mode only)
+  setFormantShift(semitones) {
+    this.config.formantShift = Math.max(-12, Math.min(12, semitones));
+    this._queuePrerender();
     return this;
   }
 
@@ -129,6 +382,7 @@ class VoiceSampler {
     if (noteDivision !== null) {
       this.tempo.noteDivision = noteDivision;
     }
+    this._queuePrerender();
     this._emit('tempoChange', {
       bpm: this.tempo.bpm,
       noteDivision: this.tempo.noteDivision,
@@ -139,12 +393,25 @@ class VoiceSampler {
 
   setTempoSync(enabled) {
     this.tempo.enabled = enabled;
+    this._queuePrerender();
     this._emit('tempoSyncChange', { enabled });
     return this;
   }
 
+  setStretchMode(mode) {
+    this.tempo.stretchMode = mode;
+    this._queuePrerender();
+    this._emit('tempoChange', {
+      bpm: this.tempo.bpm,
+      noteDivision: this.tempo.noteDivision,
+      loopDuration: this.getTempoLoopDuration()
+    });
+    return this;
+  }
+
   setNoteDivision(division) {
     this.tempo.noteDivision = division;
+    this._queuePrerender();
     this._emit('tempoChange', {
       bpm: this.tempo.bpm,
       noteDivision: this.tempo.noteDivision,
@@ -168,11 +435,351 @@ class VoiceSampler {
       bpm: this.tempo.bpm,
       noteDivision: this.tempo.noteDivision,
       enabled: this.tempo.enabled,
+      stretchMode: this.tempo.stretchMode,
       loopDurationMs: Math.round(loopDuration * 1000),
       loopDurationSec: loopDuration
     };
   }
 
+  // ─────────────────────────────────────────────────────────
+  // Zones (key ranges and velocity layers)
+  // ─────────────────────────────────────────────────────────
+
+  // Add a zone for an analyzed buffer. Ranges are MIDI keys / velocities 0-127.
+  addZone(buffer, analysis, props = {}) {
+    const zone = {
+      id: ++this.zoneCounter,
+      name: props.name ?? `Zone ${this.zoneCounter}`,
+      buffer: null,          // Playback sample: the source with its edits rendered
+      crossfadeBuffer: null,
+      analysis: null,
+      source: null,          // Sample as loaded, and its analysis
+      sourceAnalysis: null,
+      edits: [],             // Non-destructive edits, in render order
+      rootMidi: 60,
+      loopStart: 0,
+      loopEnd: 0,
+      loopSet: false,        // Loop placed by hand or read from the file: edits keep it
+      sampleStart: 0,
+      sampleEnd: 0,
+      loopMode: props.loopMode ?? VoiceSampler.LOOP_MODES.FORWARD,
+      lowKey: props.lowKey ?? 0,
+      highKey: props.highKey ?? 127,
+      lowVel: props.lowVel ?? 0,
+      highVel: props.highVel ?? 127,
+      rangeSet: props.rangeSet ?? false, // Range set by hand or read from the file: auto-map keeps it
+      group: props.group ?? null, // Zones sharing a group are alternate takes
+      groupMode: props.groupMode ?? VoiceSampler.GROUP_MODES.ROUND_ROBIN
+    };
+
+    this._setZoneSample(zone, buffer, analysis);
+    this.zones.push(zone);
+    this.zone = zone;
+
+    this._emit('zonesChange', { zones: this.getZones() });
+    this._emit('zoneSelect', { zoneId: zone.id });
+    return zone;
+  }
+
+  // Add another take of the selected zone: same ranges, same group
+  addTake(buffer, analysis) {
+    const base = this.zone;
+    if (!base) return this.addZone(buffer, analysis);
+
+    if (base.group === null) base.group = base.id;
+
+    return this.addZone(buffer, analysis, {
+      name: `${base.name} take ${this._getGroup(base.group).length + 1}`,
+      lowKey: base.lowKey,
+      highKey: base.highKey,
+      lowVel: base.lowVel,
+      highVel: base.highVel,
+      rangeSet: base.rangeSet,
+      group: base.group,
+      groupMode: base.groupMode,
+      loopMode: base.loopMode
+    });
+  }
+
+  setGroupMode(zoneId, mode) {
+    const zone = this._getZone(zoneId);
+    if (!zone) return this;
+
+    const takes = zone.group === null ? [zone] : this._getGroup(zone.group);
+    takes.forEach(z => { z.groupMode = mode; });
+
+    this._emit('zonesChange', { zones: this.getZones() });
+    return this;
+  }
+
+  selectZone(zoneId) {
+    const zone = this._getZone(zoneId);
+    if (!zone || zone === this.zone) return this;
+
+    this.zone = zone;
+    this._emit('zonesChange', { zones: this.getZones() });
+    this._emit('zoneSelect', { zoneId });
+    return this;
+  }
+
+  removeZone(zoneId) {
+    const index = this.zones.findIndex(z => z.id === zoneId);
+    if (index < 0) return this;
+
+    const [removed] = this.zones.splice(index, 1);
+    if (removed === this.zone) {
+      this.zone = this.zones[Math.min(index, this.zones.length - 1)] ?? null;
+      this._emit('zoneSelect', { zoneId: this.zone?.id ?? null });
+    }
+
+    this._emit('zonesChange', { zones: this.getZones() });
+    return this;
+  }
+
+  // Takes in a group share one range, so the change applies to all of them
+  setZoneRange(zoneId, range) {
+    const zone = this._getZone(zoneId);
+    if (!zone) return this;
+
+    const clamp = (v) => Math.max(0, Math.min(127, Math.round(v)));
+    const lowKey = clamp(range.lowKey ?? zone.lowKey);
+    const highKey = clamp(range.highKey ?? zone.highKey);
+    const lowVel = clamp(range.lowVel ?? zone.lowVel);
+    const highVel = clamp(range.highVel ?? zone.highVel);
+
+    const takes = zone.group === null ? [zone] : this._getGroup(zone.group);
+    for (const z of takes) {
+      z.lowKey = Math.min(lowKey, highKey);
+      z.highKey = Math.max(lowKey, highKey);
+      z.lowVel = Math.min(lowVel, highVel);
+      z.highVel = Math.max(lowVel, highVel);
+      z.rangeSet = true;
+    }
+
+    this._queuePrerender();
+    this._emit('zonesChange', { zones: this.getZones() });
+    return this;
+  }
+
+  // Split the keyboard between zones by root note, separately per velocity layer.
+  // Takes are mapped by their group's first zone so they keep sharing a range.
+  // With keepSet, zones whose range was set by hand or read from the file are
+  // left alone and the rest split the keyboard between them.
+  autoMapZones(options = {}) {
+    const { keepSet = false } = options;
+    const mapRoot = (zone) => zone.group === null
+      ? zone.rootMidi
+      : this._getGroup(zone.group)[0].rootMidi;
+
+    const layers = new Map();
+    for (const zone of this.zones) {
+      if (keepSet && zone.rangeSet) continue;
+      const key = `${zone.lowVel}-${zone.highVel}`;
+      if (!layers.has(key)) layers.set(key, []);
+      layers.get(key).push(zone);
+    }
+
+    for (const zones of layers.values()) {
+      const roots = [...new Set(zones.map(mapRoot))].sort((a, b) => a - b);
+
+      for (const zone of zones) {
+        const i = roots.indexOf(mapRoot(zone));
+        zone.lowKey = i === 0 ? 0 : Math.floor((roots[i - 1] + roots[i]) / 2) + 1;
+        zone.highKey = i === roots.length - 1 ? 127 : Math.floor((roots[i] + roots[i + 1]) / 2);
+        zone.rangeSet = false;
+      }
+    }
+
+    this._queuePrerender();
+    this._emit('zonesChange', { zones: this.getZones() });
+    return this;
+  }
+
+  getZones() {
+    return this.zones.map(zone => ({
+      id: zone.id,
+      name: zone.name,
+      rootMidi: zone.rootMidi,
+      lowKey: zone.lowKey,
+      highKey: zone.highKey,
+      lowVel: zone.lowVel,
+      highVel: zone.highVel,
+      group: zone.group,
+      groupMode: zone.groupMode,
+      loopMode: zone.loopMode,
+      takes: zone.group === null ? 1 : this._getGroup(zone.group).length,
+      duration: zone.buffer?.duration ?? 0,
+      selected: zone === this.zone
+    }));
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Sample Edits (selected zone, non-destructive)
+  // ─────────────────────────────────────────────────────────
+
+  // Edits of the selected zone, in render order
+  getEdits() {
+    return (this.zone?.edits ?? []).map(edit => ({ ...edit, params: { ...edit.params } }));
+  }
+
+  // Add an edit (params over the type's defaults) at `index`, by default last.
+  // Returns the new edit's id, or null without a sample.
+  addEdit(type, params = {}, index = null) {
+    const zone = this.zone;
+    if (!zone?.source || !EDIT_DEFAULTS[type]) return null;
+
+    const edit = {
+      id: Math.max(0, ...zone.edits.map(e => e.id)) + 1,
+      type,
+      params: { ...EDIT_DEFAULTS[type], ...params },
+      bypass: false
+    };
+    const edits = [...zone.edits];
+    edits.splice(index ?? edits.length, 0, edit);
+
+    this._setEdits(zone, edits);
+    return edit.id;
+  }
+
+  updateEdit(id, params) {
+    return this._replaceEdit(id, edit => ({ ...edit, params: { ...edit.params, ...params } }));
+  }
+
+  setEditBypass(id, bypass) {
+    return this._replaceEdit(id, edit => ({ ...edit, bypass }));
+  }
+
+  // Move an edit to another place in the render order
+  moveEdit(id, index) {
+    const zone = this.zone;
+    const from = zone?.edits.findIndex(e => e.id === id) ?? -1;
+    if (from < 0) return this;
+
+    const edits = [...zone.edits];
+    const [edit] = edits.splice(from, 1);
+    edits.splice(Math.max(0, Math.min(edits.length, index)), 0, edit);
+
+    this._setEdits(zone, edits);
+    return this;
+  }
+
+  removeEdit(id) {
+    const zone = this.zone;
+    if (!zone?.edits.some(e => e.id === id)) return this;
+
+    this._setEdits(zone, zone.edits.filter(e => e.id !== id));
+    return this;
+  }
+
+  // Back to the sample as loaded
+  clearEdits() {
+    if (this.zone?.edits.length) this._setEdits(this.zone, []);
+    return this;
+  }
+
+  // Trim handles, in seconds on the playback sample. Moves the last trim when
+  // nothing after it shifts the timeline (reverse, silence), else adds one.
+  setTrim(start, end) {
+    const edits = this.zone?.edits ?? [];
+    const timelineEdits = [EDIT_TYPES.REVERSE, EDIT_TYPES.INSERT_SILENCE];
+
+    for (let i = edits.length - 1; i >= 0; i--) {
+      const edit = edits[i];
+      if (edit.bypass) continue;
+      if (edit.type === EDIT_TYPES.TRIM) return this.updateEdit(edit.id, { start, end });
+      if (timelineEdits.includes(edit.type)) break;
+    }
+
+    this.addEdit(EDIT_TYPES.TRIM, { start, end });
+    return this;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Performance Controllers (pitch bend, mod wheel, sustain)
+  // ─────────────────────────────────────────────────────────
+
+  // Pitch bend from -1 (full down) to 1 (full up), scaled by pitchBendRange
+  setPitchBend(value) {
+    this.controllers.pitchBend = Math.max(-1, Math.min(1, value));
+    this._recordEvent({ type: 'pitchBend', value: this.controllers.pitchBend });
+
+    const now = this.ac.currentTime;
+    const cents = this._getPitchBendCents();
+    for (const voice of this.activeVoices.values()) {
+      voice.src.detune.setTargetAtTime(cents + voice.glideCents, now, 0.005);
+    }
+
+    this._emit('pitchBend', { value: this.controllers.pitchBend });
+    return this;
+  }
+
+  // Mod wheel from 0 to 1, mapped to vibrato depth
+  setModWheel(value) {
+    this.controllers.modWheel = Math.max(0, Math.min(1, value));
+    this._recordEvent({ type: 'controlChange', controller: 1, value: this.controllers.modWheel });
+
+    if (this._vibrato) {
+      this._vibrato.depth.gain.setTargetAtTime(
+        this.controllers.modWheel * this.config.vibratoDepth,
+        this.ac.currentTime,
+        0.02
+      );
+    }
+
+    this._emit('modWheel', { value: this.controllers.modWheel });
+    return this;
+  }
+
+  // While the pedal is down, noteOff is deferred until the pedal is released
+  // options: { time } - when the pedal moves (scheduled players pass the time
+  // they give their notes). Releases before that time still see the old state.
+  // Moves scheduled after this one are dropped, so stopping a player lifts the
+  // pedal for good.
+  setSustainPedal(down, options = {}) {
+    const time = Math.max(this.ac.currentTime, options.time ?? 0);
+    const change = { time, down: !!down };
+    this._pedalChanges = this._pedalChanges.filter(c => c.time <= time);
+    this._pedalChanges.push(change);
+    this._recordEvent({ type: 'controlChange', controller: 64, value: change.down ? 1 : 0 }, time);
+
+    // Their key releases were already recorded; the pedal CC covers the rest
+    if (!change.down) {
+      const held = [...this._sustainedNotes];
+      this._sustainedNotes.clear();
+      held.forEach(note => this.noteOff(note, { record: false, time }));
+    }
+
+    const apply = () => {
+      const index = this._pedalChanges.indexOf(change);
+      if (index < 0) return; // Dropped by a later move
+      this._pedalChanges.splice(0, index + 1);
+      this.controllers.sustain = change.down;
+      this._emit('sustain', { down: change.down });
+    };
+    if (time > this.ac.currentTime) {
+      this._atTime(time, apply);
+    } else {
+      apply();
+    }
+    return this;
+  }
+
+  // Pedal state at `time`, counting the moves scheduled up to then
+  _isSustainDown(time) {
+    let down = this.controllers.sustain;
+    for (const change of this._pedalChanges) {
+      if (change.time <= time) down = change.down;
+    }
+    return down;
+  }
+
+  resetControllers() {
+    this.setPitchBend(0);
+    this.setModWheel(0);
+    this.setSustainPedal(false);
+    return this;
+  }
+
   // ─────────────────────────────────────────────────────────
   // Metronome
   // ─────────────────────────────────────────────────────────
@@ -189,8 +796,7 @@ class VoiceSampler {
     this.metronome.gain.connect(this.ac.destination); // Direct to speakers, bypasses recorder
 
     // Schedule first tick
-    this.metronome.nextTickTime = this.ac.currentTime + 0.1;
-    this._scheduleMetronomeTicks();
+    this._scheduleMetronomeTicks(this.ac.currentTime + 0.1);
 
     this._emit('metronomeStart', { bpm: this.tempo.bpm });
   }
@@ -199,11 +805,7 @@ class VoiceSampler {
     if (!this.metronome.enabled) return;
 
     this.metronome.enabled = false;
-
-    if (this.metronome.intervalId) {
-      clearInterval(this.metronome.intervalId);
-      this.metronome.intervalId = null;
-    }
+    this.metronome.clock.stop();
 
     if (this.metronome.gain) {
       this.metronome.gain.disconnect();
@@ -220,22 +822,14 @@ class VoiceSampler {
     }
   }
 
-  _scheduleMetronomeTicks() {
-    const scheduleAhead = 0.1; // Schedule 100ms ahead
-    const secondsPerBeat = 60 / this.tempo.bpm;
-
-    const scheduler = () => {
-      if (!this.metronome.enabled) return;
-
-      while (this.metronome.nextTickTime < this.ac.currentTime + scheduleAhead) {
-        this._playMetronomeTick(this.metronome.nextTickTime);
-        this.metronome.nextTickTime += secondsPerBeat;
-      }
-    };
+  // One tick per beat on the lookahead clock; BPM changes apply from the next beat
+  _scheduleMetronomeTicks(startTime) {
+    this.metronome.clock.start((time) => {
+      if (!this.metronome.enabled) return null;
 
-    // Run scheduler every 25ms
-    this.metronome.intervalId = setInterval(scheduler, 25);
-    scheduler(); // Run immediately
+      this._playMetronomeTick(time);
+      return 60 / this.tempo.bpm;
+    }, startTime);
   }
 
   _playMetronomeTick(time) {
@@ -305,6 +899,15 @@ class VoiceSampler {
     this.recorder.mediaRecorder.start(100);
     this.recorder.isRecording = true;
     this.recorder.startTime = Date.now();
+    this.recorder.audioStartTime = this.ac.currentTime;
+    this.recorder.duration = 0;
+    this.recorder.events = [];
+
+    // Controllers already moved carry into the take
+    const { pitchBend, modWheel, sustain } = this.controllers;
+    if (pitchBend !== 0) this._recordEvent({ type: 'pitchBend', value: pitchBend });
+    if (modWheel !== 0) this._recordEvent({ type: 'controlChange', controller: 1, value: modWheel });
+    if (sustain) this._recordEvent({ type: 'controlChange', controller: 64, value: 1 });
 
     this._emit('recordingStart', { time: this.recorder.startTime });
 
@@ -315,6 +918,7 @@ class VoiceSampler {
     if (!this.recorder.isRecording) return null;
 
     this.recorder.isRecording = false;
+    this.recorder.duration = this.ac.currentTime - this.recorder.audioStartTime;
 
     const blob = await new Promise((resolve) => {
       this.recorder.mediaRecorder.onstop = () => {
@@ -339,108 +943,484 @@ class VoiceSampler {
     return this.recorder.isRecording;
   }
 
-  // ─────────────────────────────────────────────────────────
-  // Export Functions
-  // ─────────────────────────────────────────────────────────
+  // Events of the current or last take, sorted, times in seconds from its start
+  getPerformanceEvents() {
+    return this.recorder.events
+      .map(e => ({ ...e }))
+      .sort((a, b) => a.time - b.time);
+  }
 
-  // Export the original loaded sample
-  async exportOriginalSample(format = 'wav') {
-    if (!this.buffer) return null;
+  // Standard MIDI File of the last take at the current BPM (format 0 or 1)
+  exportPerformanceMidi(options = {}) {
+    if (this.recorder.events.length === 0) return null;
 
-    if (format === 'wav') {
-      return this._bufferToWav(this.buffer);
-    } else {
-      // For other formats, encode via MediaRecorder
-      return this._encodeBuffer(this.buffer, format);
-    }
-  }
+    const bytes = writeMidiFile(this.recorder.events, {
+      format: options.format ?? 1,
+      bpm: options.bpm ?? this.tempo.bpm,
+      channel: options.channel ?? 0,
+      name: options.name,
+      duration: this.recorder.duration
+    });
 
-  // Export just the loop region
-  async exportLoopRegion(format = 'wav') {
-    if (!this.buffer) return null;
+    return new Blob([bytes], { type: 'audio/midi' });
+  }
 
-    const sr = this.buffer.sampleRate;
-    const startSample = Math.floor(this.loopStart * sr);
-    const endSample = Math.floor(this.loopEnd * sr);
-    const length = endSample - startSample;
+  // ─────────────────────────────────────────────────────────
+  // Offline Rendering
+  // ─────────────────────────────────────────────────────────
 
-    const loopBuffer = this.ac.createBuffer(
-      this.buffer.numberOfChannels,
-      length,
-      sr
+  // Replay an event list (as from getPerformanceEvents) through a copy of this
+  // instrument on an OfflineAudioContext, as fast as the machine allows.
+  // The render runs until every release tail has finished.
+  // options: { duration (minimum seconds), channels, sampleRate }
+  async renderOffline(events, options = {}) {
+    const sampleRate = options.sampleRate ?? this.ac.sampleRate;
+    const lastTime = events.reduce((max, e) => Math.max(max, e.time), 0);
+
+    // One-shots and release tails play on to the end of their sample,
+    // which takes longer the further below its root a note is played
+    const playsToEnd = this.zones.some(z =>
+      z.loopMode === VoiceSampler.LOOP_MODES.ONE_SHOT || z.loopMode === VoiceSampler.LOOP_MODES.RELEASE_TAIL
     );
-
-    for (let ch = 0; ch < this.buffer.numberOfChannels; ch++) {
-      const src = this.buffer.getChannelData(ch);
-      const dst = loopBuffer.getChannelData(ch);
-      for (let i = 0; i < length; i++) {
-        dst[i] = src[startSample + i];
-      }
+    const lowestNote = Math.min(127, ...events.filter(e => e.type === 'noteOn').map(e => e.note));
+    const slowest = Math.max(1, ...this.zones.map(z => 2 ** ((z.rootMidi - lowestNote) / 12)));
+    const longestSample = Math.max(0, ...this.zones.map(z => z.buffer?.duration ?? 0)) * slowest;
+    const tail = Math.max(this.env.release, this.filterEnv.release) + 0.1 + (playsToEnd ? longestSample : 0);
+
+    const duration = Math.max(options.duration ?? 0, lastTime + tail);
+    const context = new OfflineAudioContext(options.channels ?? 2, Math.ceil(duration * sampleRate), sampleRate);
+
+    const copy = this._createCopy(context);
+    copy._timeline = new OfflineTimeline(context);
+    copy.connect(context.destination);
+
+    // Each event is played when rendering reaches its quantum, in order
+    const sorted = [...events].sort((a, b) => a.time - b.time);
+    for (const e of sorted) {
+      copy._timeline.at(e.time, () => copy._playEvent(e));
     }
 
-    if (format === 'wav') {
-      return this._bufferToWav(loopBuffer);
-    } else {
-      return this._encodeBuffer(loopBuffer, format);
+    this._emit('renderStart', { duration, events: sorted.length });
+    const buffer = await context.startRendering();
+    if (copy._timeline.pendingCount > 0) {
+      console.error(`Offline render skipped ${copy._timeline.pendingCount} events`);
     }
-  }
+    copy.dispose();
+    this._emit('renderComplete', { buffer });
 
-  // Convert AudioBuffer to WAV blob
-  _bufferToWav(audioBuffer) {
-    const numChannels = audioBuffer.numberOfChannels;
-    const sampleRate = audioBuffer.sampleRate;
-    const format = 1; // PCM
-    const bitDepth = 16;
-
-    const bytesPerSample = bitDepth / 8;
-    const blockAlign = numChannels * bytesPerSample;
-
-    const samples = audioBuffer.length;
-    const dataSize = samples * blockAlign;
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
-    };
+    return buffer;
+  }
 
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true); // fmt chunk size
-    view.setUint16(20, format, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * blockAlign, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitDepth, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-
-    // Interleave channels and write samples
-    const channels = [];
-    for (let ch = 0; ch < numChannels; ch++) {
-      channels.push(audioBuffer.getChannelData(ch));
-    }
+  // ─────────────────────────────────────────────────────────
+  // Edit State (undo/redo snapshots)
+  // ─────────────────────────────────────────────────────────
 
-    let offset = 44;
-    for (let i = 0; i < samples; i++) {
-      for (let ch = 0; ch < numChannels; ch++) {
-        const sample = Math.max(-1, Math.min(1, channels[ch][i]));
-        const intSample = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-        view.setInt16(offset, intSample, true);
-        offset += 2;
-      }
-    }
+  // What sample and sound edits change: every zone's fields (buffers by
+  // reference, so a snapshot is cheap), the selected zone, envelope and tempo
+  getEditState() {
+    return {
+      zones: this.zones.map(({ crossfadeBuffer, renderCache, ...fields }) => fields),
+      selectedZoneId: this.zone?.id ?? null,
+      env: { ...this.env },
+      tempo: { ...this.tempo }
+    };
+  }
 
-    return new Blob([buffer], { type: 'audio/wav' });
+  // Return to a getEditState() snapshot. Zones keep their object (and their
+  // crossfade loop and renders when sample, trim and loop are unchanged).
+  setEditState(state) {
+    const current = new Map(this.zones.map(z => [z.id, z]));
+    const renderKeys = ['buffer', 'loopStart', 'loopEnd', 'sampleStart', 'sampleEnd', 'loopMode'];
+
+    this.zones = state.zones.map(fields => {
+      const zone = current.get(fields.id) ?? { crossfadeBuffer: null };
+      const unchanged = zone.crossfadeBuffer && renderKeys.every(key => zone[key] === fields[key]);
+      Object.assign(zone, fields);
+      if (!unchanged) this._buildCrossfadeBuffer(zone);
+      return zone;
+    });
+    this.zone = this._getZone(state.selectedZoneId) ?? this.zones[0] ?? null;
+    this.zoneCounter = Math.max(this.zoneCounter, ...this.zones.map(z => z.id));
+    this._takeState.clear();
+
+    this.setEnvelope(state.env);
+    const syncChanged = this.tempo.enabled !== state.tempo.enabled;
+    Object.assign(this.tempo, state.tempo);
+    this.setTempo(this.tempo.bpm);
+    if (syncChanged) this._emit('tempoSyncChange', { enabled: this.tempo.enabled });
+
+    this._emit('zonesChange', { zones: this.getZones() });
+    this._emit('zoneSelect', { zoneId: this.zone?.id ?? null });
+    return this;
   }
 
-  // Encode buffer using MediaRecorder for WebM/compressed formats
+  // ─────────────────────────────────────────────────────────
+  // Projects
+  // ─────────────────────────────────────────────────────────
+
+  // Zip with project.json (settings, zones with their loop points and analysis,
+  // plus `ui`: whatever the app wants back on open) and each zone's sample as
+  // 32-bit float WAV, so the audio comes back bit for bit. Edited zones also
+  // keep their source sample and edit list.
+  async saveProject(ui = {}) {
+    const samplePath = (zone) => `samples/zone-${zone.id}.wav`;
+    const sourcePath = (zone) => `samples/zone-${zone.id}-source.wav`;
+    const edited = this.zones.filter(zone => zone.edits.length > 0);
+
+    const project = {
+      format: 'voice-sampler-project',
+      version: VoiceSampler.PROJECT_VERSION,
+      sampler: {
+        config: { ...this.config },
+        tempo: { ...this.tempo },
+        env: { ...this.env },
+        filter: { ...this.filter },
+        filterEnv: { ...this.filterEnv },
+        lfos: this.getLfos(),
+        volume: this.output.gain.value,
+        zoneCounter: this.zoneCounter,
+        selectedZoneId: this.zone?.id ?? null,
+        zones: this.zones.map(zone => ({
+          id: zone.id,
+          name: zone.name,
+          sample: samplePath(zone),
+          analysis: zone.analysis,
+          rootMidi: zone.rootMidi,
+          loopStart: zone.loopStart,
+          loopEnd: zone.loopEnd,
+          loopSet: zone.loopSet,
+          sampleStart: zone.sampleStart,
+          sampleEnd: zone.sampleEnd,
+          loopMode: zone.loopMode,
+          lowKey: zone.lowKey,
+          highKey: zone.highKey,
+          lowVel: zone.lowVel,
+          highVel: zone.highVel,
+          rangeSet: zone.rangeSet,
+          group: zone.group,
+          groupMode: zone.groupMode,
+          ...(zone.edits.length > 0 ? {
+            source: sourcePath(zone),
+            sourceAnalysis: zone.sourceAnalysis,
+            edits: zone.edits
+          } : {})
+        }))
+      },
+      ui
+    };
+
+    return createZip([
+      { name: 'project.json', data: JSON.stringify(project, null, 2) },
+      ...this.zones.map(zone => ({
+        name: samplePath(zone),
+        data: encodeWav(zone.buffer, { bitDepth: 32 })
+      })),
+      ...edited.map(zone => ({
+        name: sourcePath(zone),
+        data: encodeWav(zone.source, { bitDepth: 32 })
+      }))
+    ]);
+  }
+
+  // Read a saved project without changing the sampler (so a bad file leaves
+  // the session alone). Returns { version, sampler, ui, buffers, sources }:
+  // Maps of zone id -> AudioBuffer (sources only for zones with edits)
+  async readProject(blob) {
+    const files = await readZip(blob);
+    const json = files.get('project.json');
+    const project = json ? JSON.parse(new TextDecoder().decode(json)) : null;
+    if (project?.format !== 'voice-sampler-project') {
+      throw new Error('Not a Voice Sampler project');
+    }
+    if (project.version > VoiceSampler.PROJECT_VERSION) {
+      throw new Error('Project was saved by a newer version');
+    }
+
+    // Decoded by hand: decodeAudioData would resample to the context rate
+    const decode = (path) => {
+      const data = files.get(path);
+      if (!data) throw new Error(`Project is missing ${path}`);
+
+      const { sampleRate, channels } = decodeWav(data.slice().buffer);
+      const buffer = this.ac.createBuffer(channels.length, channels[0].length, sampleRate);
+      channels.forEach((samples, ch) => buffer.copyToChannel(samples, ch));
+      return buffer;
+    };
+
+    const buffers = new Map();
+    const sources = new Map();
+    for (const saved of project.sampler.zones) {
+      buffers.set(saved.id, decode(saved.sample));
+      if (saved.source) sources.set(saved.id, decode(saved.source));
+    }
+
+    return { ...project, buffers, sources };
+  }
+
+  // Replace every zone and setting with a project from readProject. Roots,
+  // trims and loop points are used as saved (no re-analysis); each zone's
+  // crossfade loop is rebuilt from them.
+  restoreProject(project) {
+    const saved = project.sampler;
+
+    this.panic();
+    this.resetControllers();
+
+    Object.assign(this.config, saved.config);
+    this.setVoiceMode(this.config.voiceMode);
+    this.setEnvelope(saved.env);
+    this.setFilter(saved.filter);
+    this.setFilterEnvelope(saved.filterEnv);
+    saved.lfos.forEach((lfo, index) => this.setLfo(index, lfo));
+    this.output.gain.value = saved.volume;
+
+    Object.assign(this.tempo, saved.tempo);
+    this.setTempo(this.tempo.bpm);
+    this._emit('tempoSyncChange', { enabled: this.tempo.enabled });
+
+    this.zones = saved.zones.map(({ sample, source, ...fields }) => {
+      const buffer = project.buffers.get(fields.id);
+      const zone = {
+        ...fields,
+        buffer,
+        crossfadeBuffer: null,
+        source: project.sources?.get(fields.id) ?? buffer,
+        sourceAnalysis: fields.sourceAnalysis ?? fields.analysis,
+        edits: fields.edits ?? [],
+        loopSet: fields.loopSet ?? false,
+        rangeSet: fields.rangeSet ?? false
+      };
+      this._buildCrossfadeBuffer(zone);
+      return zone;
+    });
+    this.zone = this._getZone(saved.selectedZoneId) ?? this.zones[0] ?? null;
+    this.zoneCounter = Math.max(saved.zoneCounter, ...this.zones.map(z => z.id));
+    this._takeState.clear();
+
+    this._emit('zonesChange', { zones: this.getZones() });
+    this._emit('zoneSelect', { zoneId: this.zone?.id ?? null });
+    this._emit('projectLoad', { zones: this.getZones(), ui: project.ui });
+    return this;
+  }
+
+  // readProject + restoreProject; resolves with the project
+  async openProject(blob) {
+    const project = await this.readProject(blob);
+    this.restoreProject(project);
+    return project;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Export Functions
+  // ─────────────────────────────────────────────────────────
+
+  // Export the original loaded sample
+  // options.bitDepth: 16, 24 or 32 (float) for WAV
+  async exportOriginalSample(format = 'wav', options = {}) {
+    if (!this.buffer) return null;
+
+    if (format === 'wav') {
+      return this._bufferToWav(this.buffer, {
+        bitDepth: options.bitDepth,
+        metadata: this._getWavMetadata(this.zone)
+      });
+    } else {
+      // For other formats, encode via MediaRecorder
+      return this._encodeBuffer(this.buffer, format);
+    }
+  }
+
+  // Export just the loop region (as WAV, looped end to end)
+  async exportLoopRegion(format = 'wav', options = {}) {
+    if (!this.buffer) return null;
+
+    const sr = this.buffer.sampleRate;
+    const startSample = Math.floor(this.loopStart * sr);
+    const endSample = Math.floor(this.loopEnd * sr);
+    const length = endSample - startSample;
+
+    const loopBuffer = this.ac.createBuffer(
+      this.buffer.numberOfChannels,
+      length,
+      sr
+    );
+
+    for (let ch = 0; ch < this.buffer.numberOfChannels; ch++) {
+      const src = this.buffer.getChannelData(ch);
+      const dst = loopBuffer.getChannelData(ch);
+      for (let i = 0; i < length; i++) {
+        dst[i] = src[startSample + i];
+      }
+    }
+
+    if (format === 'wav') {
+      return this._bufferToWav(loopBuffer, {
+        bitDepth: options.bitDepth,
+        metadata: this._getWavMetadata(this.zone, { start: 0, end: length })
+      });
+    } else {
+      return this._encodeBuffer(loopBuffer, format);
+    }
+  }
+
+  // Instrument in another sampler's format through a registered exporter
+  // (see exporters.js): 'sfz', 'sf2', 'decentSampler', ...
+  // options: { name, bitDepth } (WAV samples inside zipped formats)
+  async exportInstrument(format, options = {}) {
+    const exporter = getExporter(format);
+    if (!exporter) throw new Error(`Unknown instrument format: ${format}`);
+    if (this.zones.length === 0) return null;
+
+    return exporter.export(this.getInstrumentData(), options);
+  }
+
+  // Zip with one WAV per zone and an .sfz that maps them
+  async exportSfz(options = {}) {
+    return this.exportInstrument('sfz', options);
+  }
+
+  // SoundFont 2 with one preset playing the current zone
+  async exportSf2(options = {}) {
+    return this.exportInstrument('sf2', options);
+  }
+
+  // Zones and playback settings as plain values (frames, loop end exclusive)
+  // for the instrument exporters
+  getInstrumentData() {
+    const isMono = this.config.voiceMode === VoiceSampler.VOICE_MODES.MONO;
+
+    return {
+      name: 'Voice Sampler',
+      envelope: { ...this.env },
+      filter: { ...this.filter },
+      filterEnv: { ...this.filterEnv },
+      polyphony: isMono ? 1 : this.config.maxPolyphony,
+      currentZone: Math.max(0, this.zones.indexOf(this.zone)),
+      zones: this.zones.map(zone => this._getZoneData(zone))
+    };
+  }
+
+  // Convert AudioBuffer to WAV blob
+  // options: { bitDepth 16|24|32, metadata } (see encodeWav)
+  _bufferToWav(audioBuffer, options = {}) {
+    return new Blob([encodeWav(audioBuffer, options)], { type: 'audio/wav' });
+  }
+
+  _getZoneData(zone) {
+    const sr = zone.buffer.sampleRate;
+    const { cents, loops } = this._getWavMetadata(zone);
+    const takes = zone.group !== null ? this._getGroup(zone.group) : null;
+
+    return {
+      name: zone.name,
+      buffer: zone.buffer,
+      rootMidi: zone.rootMidi,
+      cents,
+      lowKey: zone.lowKey,
+      highKey: zone.highKey,
+      lowVel: zone.lowVel,
+      highVel: zone.highVel,
+      start: Math.round(zone.sampleStart * sr),
+      end: Math.round(zone.sampleEnd * sr),
+      loop: loops[0]
+        ? { ...loops[0], untilRelease: zone.loopMode === VoiceSampler.LOOP_MODES.RELEASE_TAIL }
+        : null,
+      take: takes ? {
+        index: takes.indexOf(zone),
+        count: takes.length,
+        random: zone.groupMode === VoiceSampler.GROUP_MODES.RANDOM
+      } : null
+    };
+  }
+
+  // Take root, loop and key range from WAV chunks instead of detection.
+  // analysis.fromFile records which values came from the file.
+  _applyFileMetadata(analysis, meta) {
+    const fromFile = { root: false, loop: false, range: false, cents: 0 };
+
+    if (meta.rootMidi !== null) {
+      analysis.rootMidi = meta.rootMidi;
+      fromFile.root = true;
+      fromFile.cents = meta.cents;
+    }
+
+    // Frames are at the file's rate; the decoded buffer may run at another
+    if (meta.loop) {
+      const start = meta.loop.start / meta.sampleRate;
+      const end = meta.loop.end / meta.sampleRate;
+
+      if (end <= analysis.duration + 1 / meta.sampleRate) {
+        analysis.loopStart = start;
+        analysis.loopEnd = Math.min(end, analysis.duration);
+        analysis.loopMode = {
+          [LOOP_TYPES.PING_PONG]: VoiceSampler.LOOP_MODES.PING_PONG,
+          [LOOP_TYPES.REVERSE]: VoiceSampler.LOOP_MODES.REVERSE
+        }[meta.loop.type] ?? VoiceSampler.LOOP_MODES.FORWARD;
+
+        // Silence trimming must not cut into the file's loop
+        analysis.trimStartSec = Math.min(analysis.trimStartSec, analysis.loopStart);
+        analysis.trimEndSec = Math.max(analysis.trimEndSec, analysis.loopEnd);
+        fromFile.loop = true;
+      }
+    }
+
+    // inst velocities start at 1; zones start at 0. A full range maps
+    // nothing, so such zones are still auto-mapped.
+    const { lowKey, highKey, lowVel, highVel } = meta.range ?? {};
+    const fullRange = lowKey === 0 && highKey === 127 && lowVel <= 1 && highVel === 127;
+    if (meta.range && !fullRange) {
+      analysis.keyRange = {
+        ...meta.range,
+        lowVel: meta.range.lowVel <= 1 ? 0 : meta.range.lowVel
+      };
+      fromFile.range = true;
+    }
+
+    analysis.fromFile = fromFile;
+  }
+
+  // Root note, tuning, loop and ranges of a zone for the WAV smpl/cue/inst chunks.
+  // loop overrides the zone's loop (in frames), e.g. for a loop-only export.
+  _getWavMetadata(zone, loop = null) {
+    const sr = zone.buffer.sampleRate;
+
+    // Fine tune: the file's own, or how far the detected pitch sits from the root,
+    // unless the root was since set by hand
+    const hz = zone.analysis?.rootHz;
+    const detected = hz ? 69 + 12 * Math.log2(hz / 440) : null;
+    const fromFile = zone.analysis?.fromFile;
+    let cents = 0;
+    if (fromFile?.root) {
+      cents = zone.rootMidi === zone.analysis.rootMidi ? fromFile.cents : 0;
+    } else if (detected !== null && Math.round(detected) === zone.rootMidi) {
+      cents = Math.round((detected - zone.rootMidi) * 100);
+    }
+
+    const types = {
+      [VoiceSampler.LOOP_MODES.FORWARD]: LOOP_TYPES.FORWARD,
+      [VoiceSampler.LOOP_MODES.RELEASE_TAIL]: LOOP_TYPES.FORWARD,
+      [VoiceSampler.LOOP_MODES.PING_PONG]: LOOP_TYPES.PING_PONG,
+      [VoiceSampler.LOOP_MODES.REVERSE]: LOOP_TYPES.REVERSE
+    };
+    const type = types[zone.loopMode];
+    const loops = type === undefined ? [] : [{
+      start: loop?.start ?? Math.round(zone.loopStart * sr),
+      end: loop?.end ?? Math.round(zone.loopEnd * sr),
+      type
+    }];
+
+    return {
+      rootMidi: zone.rootMidi,
+      cents,
+      loops,
+      lowKey: zone.lowKey,
+      highKey: zone.highKey,
+      lowVel: zone.lowVel,
+      highVel: zone.highVel
+    };
+  }
+
+  // Encode buffer using MediaRecorder for WebM/compressed formats
   async _encodeBuffer(audioBuffer, format = 'webm') {
     return new Promise((resolve, reject) => {
       // Create a temporary audio context for playback
@@ -499,6 +1479,9 @@ class VoiceSampler {
     });
   }
 
+  // options.newZone: add the sample as a new zone (auto-mapped by root)
+  // options.take: add it as another take of the selected zone
+  // Otherwise the selected zone's sample is replaced
   async loadFromBlob(blob, options = {}) {
     const startTime = performance.now();
     
@@ -506,6 +1489,9 @@ class VoiceSampler {
 
     try {
       const arrayBuffer = await blob.arrayBuffer();
+
+      // Sampler chunks of a WAV file (read first: decoding detaches the buffer)
+      const fileMeta = readWavMetadata(arrayBuffer);
       let audioBuffer = await this.ac.decodeAudioData(arrayBuffer);
 
       // Optional normalization
@@ -513,27 +1499,34 @@ class VoiceSampler {
         audioBuffer = this._normalizeBuffer(audioBuffer);
       }
 
-      this.buffer = audioBuffer;
-
-      // Analyze for root pitch and loop points
+      // Analyze for root pitch and loop points; values from the file win
       const analysis = this._analyzeBuffer(audioBuffer);
-      this._analysisCache = analysis;
-
-      this.rootMidi = analysis.rootMidi;
-      this.loopStart = analysis.loopStart;
-      this.loopEnd = analysis.loopEnd;
-      this.sampleStart = analysis.trimStartSec;
-      this.sampleEnd = analysis.trimEndSec;
-
-      // Pre-render crossfade buffer for seamless looping
-      this._buildCrossfadeBuffer();
+      if (fileMeta) this._applyFileMetadata(analysis, fileMeta);
+      const fileRange = analysis.fromFile?.range ? analysis.keyRange : null;
+
+      // Store in a zone (also pre-renders the crossfade buffer for seamless looping)
+      let zone;
+      if (options.take && this.zone) {
+        zone = this.addTake(audioBuffer, analysis);
+      } else if (options.newZone || !this.zone) {
+        zone = this.addZone(audioBuffer, analysis, { ...options.range, ...fileRange, rangeSet: !!fileRange });
+        if (options.newZone && options.autoMap !== false && !fileRange) {
+          this.autoMapZones({ keepSet: true });
+        }
+      } else {
+        zone = this.zone;
+        this._setZoneSample(zone, audioBuffer, analysis);
+        if (fileRange) Object.assign(zone, fileRange, { rangeSet: true });
+        this._emit('zonesChange', { zones: this.getZones() });
+      }
 
       const loadTime = performance.now() - startTime;
       
       this._emit('loadComplete', { 
         analysis, 
         loadTime,
-        buffer: audioBuffer 
+        buffer: audioBuffer,
+        zoneId: zone.id
       });
 
       return analysis;
@@ -544,18 +1537,40 @@ class VoiceSampler {
     }
   }
 
+  // options.time: AudioContext time to start at (sample-accurate scheduling)
+  // options.from: seconds into the sample to start at instead of the trim start,
+  //   up to the loop start (auditioning a loop; ignored for reverse and one-shot)
+  // options.zone: play this zone as it is (auditioning the selected zone): no
+  //   key/velocity mapping or take choice, and kept out of the performance take
   noteOn(midiNote, velocity = 1, options = {}) {
-    if (!this.buffer) return null;
+    const now = Math.max(this.ac.currentTime, options.time ?? 0);
+    if (!options.zone) this._recordEvent({ type: 'noteOn', note: midiNote, velocity }, now);
+
+    // Mono: retune the sounding voice while another key is still down
+    if (this.config.voiceMode === VoiceSampler.VOICE_MODES.MONO) {
+      const legatoId = this._monoNoteOn(midiNote, now);
+      if (legatoId !== null) return legatoId;
+    }
+
+    const zone = options.zone ?? this._findZone(midiNote, velocity);
+    if (!zone) return null;
+
+    // Retrigger: fade out a voice still held on the same note
+    const existing = this.activeVoices.get(midiNote);
+    if (existing) {
+      this.activeVoices.delete(midiNote);
+      this._sustainedNotes.delete(midiNote);
+      if (!existing.released) this._fadeOutVoice(existing, now);
+    }
 
     // Handle polyphony limit
     if (this.activeVoices.size >= this.config.maxPolyphony) {
-      const stolen = this._stealVoice();
+      const stolen = this._stealVoice(now);
       if (!stolen && this.config.stealMode === VoiceSampler.STEAL_MODES.NONE) {
         return null;
       }
     }
 
-    const now = this.ac.currentTime;
     const voiceId = ++this.voiceCounter;
     const v = Math.max(0, Math.min(1, velocity));
 
@@ -563,60 +1578,64 @@ class VoiceSampler {
     const src = this.ac.createBufferSource();
     const gain = this.ac.createGain();
     
+    const amp = this.ac.createGain();           // Tremolo (amp LFO)
+    const panner = this.ac.createStereoPanner(); // Auto-pan (pan LFO)
+
     // Optional filter for expressiveness
     let filter = null;
-    if (this.config.useFilter) {
+    if (this.filter.enabled) {
       filter = this.ac.createBiquadFilter();
-      filter.type = 'lowpass';
-      filter.frequency.value = this.config.defaultFilterFreq * v; // Velocity affects brightness
-      filter.Q.value = 1;
+      filter.type = this.filter.type;
+      filter.frequency.value = this._getFilterCutoff(v); // Velocity affects brightness
+      filter.Q.value = this.filter.resonance;
     }
 
-    // Use crossfade buffer if available, otherwise original
-    src.buffer = this.crossfadeBuffer || this.buffer;
-    src.loop = true;
+    // Forward-playing source (crossfaded or rendered) and its playback rate;
+    // the loop mode is applied after
+    const playback = this._getPlaybackSource(zone, midiNote);
+    const source = this._applyLoopMode(zone, playback.source);
+    const finalRate = playback.rate;
+    const loopMode = zone.loopMode;
 
     // Calculate the base playback rate for pitch shifting
-    const pitchRate = Math.pow(2, (midiNote - this.rootMidi) / 12);
+    const pitchRate = Math.pow(2, (midiNote - zone.rootMidi) / 12);
 
     // The original loop region duration (in seconds)
-    const originalLoopDuration = this.loopEnd - this.loopStart;
-
-    let finalRate;
-    if (this.tempo.enabled) {
-      // Tempo sync mode: stretch/shrink the sample to fit the BPM-based duration
-      // Target duration is determined by BPM and note division
-      const targetDuration = this.getTempoLoopDuration();
-
-      // Calculate tempo stretch rate: how much to speed up/slow down to fit target
-      // If original is 1s and target is 0.5s, we need to play at 2x speed
-      // If original is 0.5s and target is 1s, we need to play at 0.5x speed
-      const tempoStretchRate = originalLoopDuration / targetDuration;
+    const originalLoopDuration = zone.loopEnd - zone.loopStart;
 
-      // Combine pitch shift and tempo stretch
-      // The final rate applies both transformations
-      finalRate = pitchRate * tempoStretchRate;
+    src.buffer = source.buffer;
+    src.loop = loopMode !== VoiceSampler.LOOP_MODES.ONE_SHOT;
+    src.loopStart = source.loopStart;
+    src.loopEnd = source.loopEnd;
 
-      // Use the original loop points - the rate change handles the timing
-      src.loopStart = this.loopStart;
-      src.loopEnd = this.loopEnd;
-    } else {
-      // Normal mode (tempo sync disabled): just pitch shift
-      // But still ensure all notes loop at the same wall-clock time
-      finalRate = pitchRate;
+    const forwardLoop = loopMode === VoiceSampler.LOOP_MODES.FORWARD ||
+      loopMode === VoiceSampler.LOOP_MODES.RELEASE_TAIL;
 
-      // Adjust loop end to maintain consistent perceived loop duration
+    if (!this.tempo.enabled && this.config.pitchMode === VoiceSampler.PITCH_MODES.RESAMPLE && forwardLoop) {
+      // Still ensure all notes loop at the same wall-clock time:
+      // adjust loop end to maintain consistent perceived loop duration
       // across different pitches
       const adjustedLoopDuration = originalLoopDuration * pitchRate;
-      const adjustedLoopEnd = this.loopStart + adjustedLoopDuration;
-      const maxLoopEnd = (this.crossfadeBuffer || this.buffer).duration;
+      const adjustedLoopEnd = source.loopStart + adjustedLoopDuration;
+      const maxLoopEnd = source.buffer.duration;
 
-      src.loopStart = this.loopStart;
       src.loopEnd = Math.min(adjustedLoopEnd, maxLoopEnd);
     }
 
     src.playbackRate.setValueAtTime(finalRate, now);
 
+    // Pitch bend and mod wheel vibrato are applied in cents on top of the rate
+    src.detune.setValueAtTime(this._getPitchBendCents(), now);
+
+    // Modulation sources feeding this voice's params, disconnected on cleanup
+    const modConnections = [[this._getVibrato().depth, src.detune]];
+    this.lfos.forEach((lfo, i) => {
+      const { depths } = this._getLfoNodes(i);
+      modConnections.push([depths.pitch, src.detune], [depths.amp, amp.gain], [depths.pan, panner.pan]);
+      if (filter) modConnections.push([depths.cutoff, filter.detune]);
+    });
+    modConnections.forEach(([node, param]) => node.connect(param));
+
     // ADSR envelope
     gain.gain.setValueAtTime(0, now);
     const peak = v;
@@ -625,60 +1644,133 @@ class VoiceSampler {
     gain.gain.linearRampToValueAtTime(peak, now + attack);
     gain.gain.linearRampToValueAtTime(peak * sustain, now + attack + decay);
 
-    // Connect chain
+    // Filter envelope, in cents above (or below) the cutoff
+    if (filter && this.filter.envAmount !== 0) {
+      const envPeak = this.filter.envAmount * 1200;
+      const fe = this.filterEnv;
+
+      filter.detune.setValueAtTime(0, now);
+      filter.detune.linearRampToValueAtTime(envPeak, now + fe.attack);
+      filter.detune.linearRampToValueAtTime(envPeak * fe.sustain, now + fe.attack + fe.decay);
+    }
+
+    // Connect chain: source -> filter -> envelope -> tremolo -> pan -> output
     if (filter) {
       src.connect(filter);
       filter.connect(gain);
     } else {
       src.connect(gain);
     }
-    gain.connect(this.output);
-
-    // Start playback from sample start (after trim)
-    src.start(now, this.sampleStart);
+    gain.connect(amp);
+    amp.connect(panner);
+    panner.connect(this.output);
+
+    // Start playback from sample start (after trim); one-shots stop at sample end
+    if (loopMode === VoiceSampler.LOOP_MODES.ONE_SHOT) {
+      src.start(now, source.sampleStart, Math.max(0, source.sampleEnd - source.sampleStart));
+    } else if (options.from !== undefined && loopMode !== VoiceSampler.LOOP_MODES.REVERSE) {
+      // Rendered sources are stretched; their loop start shows by how much
+      const scale = zone.loopStart > 0 ? source.loopStart / zone.loopStart : 1;
+      src.start(now, Math.max(source.sampleStart, Math.min(source.loopStart, options.from * scale)));
+    } else {
+      src.start(now, source.sampleStart);
+    }
 
     // Store voice
     const voice = {
       id: voiceId,
       midiNote,
+      zoneId: zone.id,
       velocity: v,
       src,
       gain,
       filter,
+      amp,
+      panner,
+      modConnections,
+      glideCents: 0, // Mono legato offset from the note the voice started on
+      loopMode,
       startTime: now,
       released: false
     };
 
+    // One-shots and release tails end on their own
+    src.onended = () => {
+      if (this.activeVoices.get(voice.midiNote)?.id === voice.id) {
+        this.activeVoices.delete(voice.midiNote);
+      }
+      this._cleanupVoice(voice);
+    };
+
     this.activeVoices.set(midiNote, voice);
-    this._emit('noteOn', { midiNote, velocity: v, voiceId });
+    this._emit('noteOn', { midiNote, velocity: v, voiceId, zoneId: zone.id });
 
     return voiceId;
   }
 
-  noteOff(midiNote) {
+  // options.time: AudioContext time to release at
+  // options.record: false keeps the release out of the performance take
+  noteOff(midiNote, options = {}) {
+    const now = Math.max(this.ac.currentTime, options.time ?? 0);
+    if (options.record !== false) this._recordEvent({ type: 'noteOff', note: midiNote }, now);
+
+    // Mono: fall back to a key that is still held
+    if (this.config.voiceMode === VoiceSampler.VOICE_MODES.MONO && this._monoNoteOff(midiNote, now)) {
+      return;
+    }
+
     const voice = this.activeVoices.get(midiNote);
     if (!voice || voice.released) return;
 
+    // One-shots always play to the end
+    if (voice.loopMode === VoiceSampler.LOOP_MODES.ONE_SHOT) {
+      this._emit('noteOff', { midiNote, voiceId: voice.id });
+      return;
+    }
+
+    // Sustain pedal holds the note until it is lifted, or until the lift
+    // already scheduled
+    if (this._isSustainDown(now)) {
+      const lift = this._pedalChanges.find(c => c.time > now && !c.down);
+      if (lift) {
+        this.noteOff(midiNote, { record: false, time: lift.time });
+      } else {
+        this._sustainedNotes.add(midiNote);
+      }
+      return;
+    }
+
     voice.released = true;
-    const now = this.ac.currentTime;
+
+    // Filter envelope release runs alongside the amp release
+    if (voice.filter && this.filter.envAmount !== 0) {
+      this._holdParam(voice.filter.detune, now);
+      voice.filter.detune.linearRampToValueAtTime(0, now + this.filterEnv.release);
+    }
+
+    // Release tail: leave the loop and play through to sample end at the held level
+    if (voice.loopMode === VoiceSampler.LOOP_MODES.RELEASE_TAIL) {
+      this._atTime(now, () => { voice.src.loop = false; });
+      this._emit('noteOff', { midiNote, voiceId: voice.id });
+      return;
+    }
     const { release } = this.env;
 
     // Smooth release
-    voice.gain.gain.cancelScheduledValues(now);
-    voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+    this._holdParam(voice.gain.gain, now);
     voice.gain.gain.linearRampToValueAtTime(0, now + release);
 
     // Schedule cleanup
     const stopTime = now + release + 0.05;
     voice.src.stop(stopTime);
 
-    // Remove from active voices after release
-    setTimeout(() => {
+    // Remove from active voices after release (a retrigger may already have replaced it)
+    this._atTime(now + release + 0.1, () => {
       if (this.activeVoices.get(midiNote)?.id === voice.id) {
         this.activeVoices.delete(midiNote);
-        this._cleanupVoice(voice);
       }
-    }, (release + 0.1) * 1000);
+      this._cleanupVoice(voice);
+    });
 
     this._emit('noteOff', { midiNote, voiceId: voice.id });
   }
@@ -695,11 +1787,13 @@ class VoiceSampler {
     }
     
     this.activeVoices.clear();
+    this._sustainedNotes.clear();
+    this._heldNotes = [];
     this._emit('panic');
   }
 
   getAnalysis() {
-    return this._analysisCache;
+    return this.zone?.analysis ?? null;
   }
 
   getWaveformData(numPoints = 200) {
@@ -739,8 +1833,22 @@ class VoiceSampler {
   dispose() {
     this.panic();
     this.disconnect();
-    this.buffer = null;
-    this.crossfadeBuffer = null;
+    if (this._vibrato) {
+      this._vibrato.osc.stop();
+      this._vibrato.osc.disconnect();
+      this._vibrato.depth.disconnect();
+      this._vibrato = null;
+    }
+    for (const nodes of this._lfoNodes) {
+      nodes.osc.stop();
+      nodes.osc.disconnect();
+      Object.values(nodes.depths).forEach(depth => depth.disconnect());
+    }
+    this._lfoNodes = [];
+    clearTimeout(this._prerenderTimer);
+    this._pendingRenders.clear();
+    this.zones = [];
+    this.zone = null;
     this._listeners.clear();
   }
 
@@ -748,13 +1856,272 @@ class VoiceSampler {
   // Private Methods
   // ─────────────────────────────────────────────────────────
 
+  // Run a callback at an AudioContext time: a timer when playing live,
+  // a render suspend when rendering offline
+  _atTime(time, callback) {
+    if (this._timeline) {
+      this._timeline.at(time, callback);
+    } else {
+      setTimeout(callback, Math.max(0, time - this.ac.currentTime) * 1000);
+    }
+  }
+
+  // Same instrument and settings on another context. Zones (and their render
+  // caches) are shared; voices, LFOs and controllers are the copy's own.
+  _createCopy(context) {
+    const copy = new VoiceSampler(context, {
+      ...this.config,
+      bpm: this.tempo.bpm,
+      tempoSync: this.tempo.enabled,
+      noteDivision: this.tempo.noteDivision,
+      stretchMode: this.tempo.stretchMode
+    });
+
+    copy.zones = this.zones;
+    copy.zone = this.zone;
+    copy.zoneCounter = this.zoneCounter;
+    copy._takeState = new Map(this._takeState);
+    copy.env = { ...this.env };
+    copy.filter = { ...this.filter };
+    copy.filterEnv = { ...this.filterEnv };
+    copy.lfos = this.getLfos();
+    copy.output.gain.value = this.output.gain.value;
+
+    return copy;
+  }
+
+  // Replay one recorded event at its time
+  _playEvent(e) {
+    switch (e.type) {
+      case 'noteOn':
+        this.noteOn(e.note, e.velocity, { time: e.time });
+        break;
+      case 'noteOff':
+        this.noteOff(e.note, { time: e.time });
+        break;
+      case 'pitchBend':
+        this.setPitchBend(e.value);
+        break;
+      case 'controlChange':
+        if (e.controller === 1) this.setModWheel(e.value);
+        if (e.controller === 64) this.setSustainPedal(e.value >= 0.5);
+        break;
+    }
+  }
+
+  // Timestamp an event into the performance take (no-op when not recording)
+  _recordEvent(event, time = this.ac.currentTime) {
+    if (!this.recorder.isRecording) return;
+
+    const offset = Math.max(0, time - this.recorder.audioStartTime);
+    this.recorder.events.push({ ...event, time: offset });
+  }
+
   _emit(event, data = {}) {
     this._listeners.get(event)?.forEach(cb => {
       try { cb(data); } catch (e) { console.error(e); }
     });
   }
 
-  _stealVoice() {
+  _getZone(zoneId) {
+    return this.zones.find(z => z.id === zoneId) ?? null;
+  }
+
+  // Load an analyzed buffer into a zone as its new source (edits are dropped)
+  _setZoneSample(zone, buffer, analysis) {
+    zone.source = buffer;
+    zone.sourceAnalysis = analysis;
+    zone.edits = [];
+    this._applySample(zone, buffer, analysis);
+  }
+
+  // Playback sample with its analysis (root, loop, trim); rebuilds the crossfade loop
+  _applySample(zone, buffer, analysis) {
+    zone.buffer = buffer;
+    zone.analysis = analysis;
+    zone.rootMidi = analysis.rootMidi;
+    zone.loopStart = analysis.loopStart;
+    zone.loopEnd = analysis.loopEnd;
+    zone.loopSet = !!analysis.fromFile?.loop;
+    zone.sampleStart = analysis.trimStartSec;
+    zone.sampleEnd = analysis.trimEndSec;
+    if (analysis.loopMode) zone.loopMode = analysis.loopMode; // From a WAV smpl loop
+
+    this._buildCrossfadeBuffer(zone);
+  }
+
+  _getGroup(group) {
+    return this.zones.filter(z => z.group === group);
+  }
+
+  _replaceEdit(id, change) {
+    const zone = this.zone;
+    if (!zone?.edits.some(e => e.id === id)) return this;
+
+    this._setEdits(zone, zone.edits.map(edit => edit.id === id ? change(edit) : edit));
+    return this;
+  }
+
+  // Edit lists are replaced, never changed in place, so undo snapshots can share them
+  _setEdits(zone, edits) {
+    zone.edits = edits;
+    this._renderEdits(zone);
+
+    this._emit('zonesChange', { zones: this.getZones() });
+    this._emit('sampleEdit', { zoneId: zone.id, edits: this.getEdits(), analysis: zone.analysis });
+  }
+
+  // Render the source through the active edits and re-analyze the result
+  // (root, loop, silence trim or the edits' trim). A root or loop set by hand is kept.
+  _renderEdits(zone) {
+    const active = zone.edits.filter(e => !e.bypass);
+    const manualRoot = zone.rootMidi !== zone.analysis?.rootMidi ? zone.rootMidi : null;
+    const manualLoop = zone.loopSet ? { start: zone.loopStart, end: zone.loopEnd } : null;
+
+    let buffer = zone.source;
+    let analysis = zone.sourceAnalysis;
+
+    if (active.length > 0) {
+      const { source } = zone;
+      const input = [];
+      for (let ch = 0; ch < source.numberOfChannels; ch++) {
+        input.push(source.getChannelData(ch));
+      }
+
+      const { channels, region } = applyEdits(input, source.sampleRate, active);
+      buffer = this.ac.createBuffer(channels.length, channels[0].length, source.sampleRate);
+      channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+      analysis = this._analyzeBuffer(buffer, region);
+    }
+
+    this._applySample(zone, buffer, analysis);
+    if (manualRoot !== null) zone.rootMidi = manualRoot;
+
+    // A loop set by hand (or from the file) stays, inside the new trim; the
+    // detected one is used only when too little of it is left
+    if (manualLoop) {
+      const clamp = (time) => Math.max(zone.sampleStart, Math.min(zone.sampleEnd, time));
+      const start = clamp(manualLoop.start);
+      const end = clamp(manualLoop.end);
+      if (end - start >= 0.01) {
+        zone.loopStart = start;
+        zone.loopEnd = end;
+        zone.loopSet = true;
+        this._buildCrossfadeBuffer(zone);
+      }
+    }
+  }
+
+  // First zone whose key and velocity range contain the note.
+  // If it belongs to a take group, one of the group's takes is chosen instead.
+  _findZone(midiNote, velocity) {
+    const vel = Math.round(Math.max(0, Math.min(1, velocity)) * 127);
+
+    const matches = this.zones.filter(z =>
+      midiNote >= z.lowKey && midiNote <= z.highKey &&
+      vel >= z.lowVel && vel <= z.highVel
+    );
+    if (matches.length === 0) return null;
+
+    const first = matches[0];
+    if (first.group === null) return first;
+
+    return this._pickTake(matches.filter(z => z.group === first.group), midiNote);
+  }
+
+  // Round-robin or random-without-repeat choice, tracked per group and per note
+  _pickTake(takes, midiNote) {
+    if (takes.length === 1) return takes[0];
+
+    const key = `${takes[0].group}:${midiNote}`;
+    let last = this._takeState.get(key);
+    if (last >= takes.length) last = undefined; // A take was removed
+
+    let index;
+    if (takes[0].groupMode === VoiceSampler.GROUP_MODES.RANDOM) {
+      if (last === undefined) {
+        index = Math.floor(Math.random() * takes.length);
+      } else {
+        // Pick among the other takes, skipping the previous one
+        index = Math.floor(Math.random() * (takes.length - 1));
+        if (index >= last) index++;
+      }
+    } else {
+      index = last === undefined ? 0 : (last + 1) % takes.length;
+    }
+
+    this._takeState.set(key, index);
+    return takes[index];
+  }
+
+  // Track the key and glide the sounding voice to the priority note.
+  // Returns the voice id when handled, or null when a new voice should start.
+  _monoNoteOn(midiNote, time) {
+    this._heldNotes = this._heldNotes.filter(n => n !== midiNote);
+    this._heldNotes.push(midiNote);
+
+    const voice = this._getMonoVoice();
+    if (!voice) return null;
+
+    this._glideVoice(voice, this._getPriorityNote(), time);
+    return voice.id;
+  }
+
+  // Returns true when the release was handled here (glide back, or a key that is not sounding)
+  _monoNoteOff(midiNote, time) {
+    this._heldNotes = this._heldNotes.filter(n => n !== midiNote);
+
+    const voice = this._getMonoVoice();
+    if (!voice) return false;
+    if (voice.midiNote !== midiNote) return true;
+    if (this._heldNotes.length === 0) return false;
+
+    this._glideVoice(voice, this._getPriorityNote(), time);
+    return true;
+  }
+
+  // The voice still holding a note (released voices are left to fade)
+  _getMonoVoice() {
+    for (const voice of this.activeVoices.values()) {
+      if (!voice.released) return voice;
+    }
+    return null;
+  }
+
+  _getPriorityNote() {
+    const held = this._heldNotes;
+    switch (this.config.notePriority) {
+      case VoiceSampler.NOTE_PRIORITIES.LOWEST:
+        return Math.min(...held);
+      case VoiceSampler.NOTE_PRIORITIES.HIGHEST:
+        return Math.max(...held);
+      default:
+        return held[held.length - 1];
+    }
+  }
+
+  // Slide the voice to a new note through detune, keeping its envelope running
+  _glideVoice(voice, midiNote, time = this.ac.currentTime) {
+    if (voice.midiNote === midiNote) return;
+
+    voice.glideCents += (midiNote - voice.midiNote) * 100;
+    this._holdParam(voice.src.detune, time);
+    voice.src.detune.linearRampToValueAtTime(
+      this._getPitchBendCents() + voice.glideCents,
+      time + this.config.glideTime
+    );
+
+    // Re-key the voice under the note it now plays
+    this.activeVoices.delete(voice.midiNote);
+    this._sustainedNotes.delete(voice.midiNote);
+    voice.midiNote = midiNote;
+    this.activeVoices.set(midiNote, voice);
+
+    this._emit('noteOn', { midiNote, velocity: voice.velocity, voiceId: voice.id, zoneId: voice.zoneId, legato: true });
+  }
+
+  // The victim fades out at `time`, when the new note starts
+  _stealVoice(time = this.ac.currentTime) {
     if (this.activeVoices.size === 0) return false;
 
     let victimNote = null;
@@ -780,31 +2147,109 @@ class VoiceSampler {
 
     if (victimNote !== null) {
       const voice = this.activeVoices.get(victimNote);
-      const now = this.ac.currentTime;
-      
-      // Quick fade out
-      voice.gain.gain.cancelScheduledValues(now);
-      voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
-      voice.gain.gain.linearRampToValueAtTime(0, now + 0.01);
-      voice.src.stop(now + 0.02);
-      
+
       this.activeVoices.delete(victimNote);
-      this._cleanupVoice(voice);
-      
+      this._sustainedNotes.delete(victimNote);
+      this._fadeOutVoice(voice, time);
+
       return true;
     }
 
     return false;
   }
 
+  // Quick fade out from `time` (a scheduled note's start, so the voice plays
+  // on until then), then stop and clean up once silent
+  _fadeOutVoice(voice, time = this.ac.currentTime) {
+    voice.released = true;
+    this._holdParam(voice.gain.gain, time);
+    voice.gain.gain.linearRampToValueAtTime(0, time + 0.01);
+    voice.src.stop(time + 0.02);
+
+    this._atTime(time + 0.05, () => this._cleanupVoice(voice));
+  }
+
   _cleanupVoice(voice) {
+    for (const [node, param] of voice.modConnections) {
+      try {
+        node.disconnect(param);
+      } catch (e) { /* not connected */ }
+    }
+
     try {
       voice.src.disconnect();
       voice.gain.disconnect();
       voice.filter?.disconnect();
+      voice.amp.disconnect();
+      voice.panner.disconnect();
     } catch (e) { /* already disconnected */ }
   }
 
+  // Base cutoff for a voice; low velocity closes the filter by up to `velocity`
+  _getFilterCutoff(velocity) {
+    const { cutoff, velocity: amount } = this.filter;
+    return Math.max(20, cutoff * (1 - amount * (1 - velocity)));
+  }
+
+  // Depth gain for an LFO target. Amp swings around unity, so it is halved.
+  _getLfoDepth(lfo, target) {
+    const depth = lfo.depths[target] ?? 0;
+    return target === VoiceSampler.LFO_TARGETS.AMP ? depth / 2 : depth;
+  }
+
+  // Shared LFO: oscillator -> one depth gain per target -> each voice's params
+  _getLfoNodes(index) {
+    if (!this._lfoNodes[index]) {
+      const lfo = this.lfos[index];
+      const osc = this.ac.createOscillator();
+      osc.type = lfo.shape;
+      osc.frequency.value = lfo.rate;
+
+      const depths = {};
+      for (const target of Object.values(VoiceSampler.LFO_TARGETS)) {
+        depths[target] = this.ac.createGain();
+        depths[target].gain.value = this._getLfoDepth(lfo, target);
+        osc.connect(depths[target]);
+      }
+
+      osc.start();
+      this._lfoNodes[index] = { osc, depths };
+    }
+    return this._lfoNodes[index];
+  }
+
+  // Freeze an automated param at `time` so a new ramp starts from its value then
+  _holdParam(param, time) {
+    if (param.cancelAndHoldAtTime) {
+      param.cancelAndHoldAtTime(time);
+    } else {
+      param.cancelScheduledValues(time);
+      param.setValueAtTime(param.value, time);
+    }
+  }
+
+  _getPitchBendCents() {
+    return this.controllers.pitchBend * this.config.pitchBendRange * 100;
+  }
+
+  // Shared vibrato LFO: oscillator -> depth gain (cents) -> each voice's detune
+  _getVibrato() {
+    if (!this._vibrato) {
+      const osc = this.ac.createOscillator();
+      const depth = this.ac.createGain();
+
+      osc.type = 'sine';
+      osc.frequency.value = this.config.vibratoRate;
+      depth.gain.value = this.controllers.modWheel * this.config.vibratoDepth;
+
+      osc.connect(depth);
+      osc.start();
+
+      this._vibrato = { osc, depth };
+    }
+    return this._vibrato;
+  }
+
   _normalizeBuffer(audioBuffer) {
     const numChannels = audioBuffer.numberOfChannels;
     const length = audioBuffer.length;
@@ -841,32 +2286,41 @@ class VoiceSampler {
     return audioBuffer;
   }
 
-  _buildCrossfadeBuffer() {
-    if (!this.buffer) return;
+  _buildCrossfadeBuffer(zone = this.zone) {
+    if (!zone?.buffer) return;
 
-    const sr = this.buffer.sampleRate;
-    const numChannels = this.buffer.numberOfChannels;
+    zone.crossfadeBuffer = this._crossfadeLoop(zone.buffer, zone.loopStart, zone.loopEnd);
+
+    // Anything rendered from the old sample or loop is stale now
+    zone.renderCache = new Map();
+    this._queuePrerender();
+  }
+
+  // Copy of the buffer with the loop end blended into the loop start,
+  // or null when the loop is too short for a crossfade
+  _crossfadeLoop(buffer, loopStart, loopEnd) {
+    const sr = buffer.sampleRate;
+    const numChannels = buffer.numberOfChannels;
     const crossfadeSamples = Math.floor(this.config.crossfadeDuration * sr);
 
-    const loopStartSample = Math.floor(this.loopStart * sr);
-    const loopEndSample = Math.floor(this.loopEnd * sr);
+    const loopStartSample = Math.floor(loopStart * sr);
+    const loopEndSample = Math.floor(loopEnd * sr);
     const loopLength = loopEndSample - loopStartSample;
 
     if (loopLength < crossfadeSamples * 2) {
       // Loop too short for crossfade
-      this.crossfadeBuffer = null;
-      return;
+      return null;
     }
 
     // Create new buffer with crossfade applied
     const newBuffer = this.ac.createBuffer(
       numChannels,
-      this.buffer.length,
+      buffer.length,
       sr
     );
 
     for (let ch = 0; ch < numChannels; ch++) {
-      const src = this.buffer.getChannelData(ch);
+      const src = buffer.getChannelData(ch);
       const dst = newBuffer.getChannelData(ch);
 
       // Copy original data
@@ -888,37 +2342,409 @@ class VoiceSampler {
       }
     }
 
-    this.crossfadeBuffer = newBuffer;
+    return newBuffer;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Rendered Sources (time-stretch, formant-preserving pitch, loop modes)
+  // ─────────────────────────────────────────────────────────
+
+  // Sources are { key, buffer, raw, loopStart, loopEnd, sampleStart, sampleEnd }:
+  // `buffer` is crossfaded for forward looping, `raw` is the uncrossfaded audio
+  _getBaseSource(zone) {
+    return {
+      key: 'base',
+      buffer: zone.crossfadeBuffer || zone.buffer,
+      raw: zone.buffer,
+      loopStart: zone.loopStart,
+      loopEnd: zone.loopEnd,
+      sampleStart: zone.sampleStart,
+      sampleEnd: zone.sampleEnd
+    };
+  }
+
+  // Renders only need to reach the loop end, unless the mode plays past it
+  _getRenderEnd(zone) {
+    const { ONE_SHOT, REVERSE, RELEASE_TAIL } = VoiceSampler.LOOP_MODES;
+    return [ONE_SHOT, REVERSE, RELEASE_TAIL].includes(zone.loopMode) ? zone.sampleEnd : zone.loopEnd;
+  }
+
+  // Memoize per-zone renders; the cache is reset whenever the sample or loop changes
+  _getCachedRender(zone, key, render) {
+    if (!zone.renderCache) zone.renderCache = new Map();
+
+    let entry = zone.renderCache.get(key);
+    if (!entry) {
+      entry = render();
+      this._storeRender(zone.renderCache, key, entry);
+    }
+    return entry;
+  }
+
+  _storeRender(cache, key, entry) {
+    cache.set(key, entry);
+
+    // Keep memory bounded (one render per key fits): drop the oldest render
+    if (cache.size > 128) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  // Renders too slow for noteOn (WSOLA, PSOLA) are made between notes instead:
+  // null until ready, so the note plays a fallback. Offline copies render right
+  // away, since nothing there is live.
+  _getBackgroundRender(zone, key, render) {
+    if (this._timeline) return this._getCachedRender(zone, key, render);
+    if (!zone.renderCache) zone.renderCache = new Map();
+
+    const cache = zone.renderCache;
+    if (cache.has(key)) return cache.get(key);
+
+    const id = `${zone.id}:${key}`;
+    if (!this._pendingRenders.has(id)) {
+      this._pendingRenders.set(id, () => {
+        // Skipped when the sample or loop changed since (the cache was replaced)
+        if (zone.renderCache === cache && !cache.has(key)) this._storeRender(cache, key, render());
+      });
+      this._scheduleRenders();
+    }
+    return null;
+  }
+
+  // Forward source for a note and the rate to play it at, by pitch mode and
+  // tempo sync. Renders still pending are queued and the plain sample stands in,
+  // resampled to pitch and to the tempo so synced loops keep their length.
+  _getPlaybackSource(zone, midiNote) {
+    const base = this._getBaseSource(zone);
+
+    // Calculate the base playback rate for pitch shifting
+    const pitchRate = Math.pow(2, (midiNote - zone.rootMidi) / 12);
+
+    // The original loop region duration (in seconds)
+    const originalLoopDuration = zone.loopEnd - zone.loopStart;
+
+    // Plain sample played the way tempo sync mode plays it
+    const fallback = () => ({
+      source: base,
+      rate: this.tempo.enabled ? pitchRate * originalLoopDuration / this.getTempoLoopDuration() : pitchRate
+    });
+
+    if (this.config.pitchMode === VoiceSampler.PITCH_MODES.FORMANT) {
+      // Formant mode: PSOLA renders the pitch (and time-stretch), so the result
+      // plays at its natural rate and keeps the loop's original duration
+      let timeRatio = 1;
+      let rate = 1;
+
+      if (this.tempo.enabled) {
+        const targetRatio = this.getTempoLoopDuration() / originalLoopDuration;
+        if (this.tempo.stretchMode === VoiceSampler.STRETCH_MODES.TIME_STRETCH) {
+          timeRatio = targetRatio;
+        } else {
+          rate = 1 / targetRatio;
+        }
+      }
+
+      const formant = this._getFormantSource(zone, pitchRate, timeRatio);
+      return formant ? { source: formant, rate } : fallback();
+    }
+
+    if (this.tempo.enabled && this.tempo.stretchMode === VoiceSampler.STRETCH_MODES.TIME_STRETCH) {
+      // Time-stretch mode: the key only sets the pitch. The sample is stretched
+      // so that, played at pitchRate, the loop still lasts the BPM-based duration.
+      const targetDuration = this.getTempoLoopDuration();
+      const stretch = (targetDuration * pitchRate) / originalLoopDuration;
+
+      const stretched = this._getStretchedSource(zone, stretch);
+      return stretched ? { source: stretched, rate: pitchRate } : fallback();
+    }
+
+    if (this.tempo.enabled) {
+      // Tempo sync mode: stretch/shrink the sample to fit the BPM-based duration
+      // Target duration is determined by BPM and note division
+      const targetDuration = this.getTempoLoopDuration();
+
+      // Calculate tempo stretch rate: how much to speed up/slow down to fit target
+      // If original is 1s and target is 0.5s, we need to play at 2x speed
+      // If original is 0.5s and target is 1s, we need to play at 0.5x speed
+      const tempoStretchRate = originalLoopDuration / targetDuration;
+
+      // Combine pitch shift and tempo stretch; the original loop points are
+      // kept, the rate change handles the timing
+      return { source: base, rate: pitchRate * tempoStretchRate };
+    }
+
+    // Normal mode (tempo sync disabled): just pitch shift
+    return { source: base, rate: pitchRate };
+  }
+
+  // Renders depend on the sample, key ranges and settings: after a change,
+  // queue them for every mapped key so notes find them ready instead of
+  // playing the fallback. Batched, as one change often touches several.
+  _queuePrerender() {
+    if (this._prerenderTimer !== null) return;
+
+    this._prerenderTimer = setTimeout(() => {
+      this._prerenderTimer = null;
+      this._prerenderSources();
+    }, 0);
+  }
+
+  // Keys nearest each zone's root first; renders queued for earlier settings
+  // are dropped, notes still waiting on one queue it again
+  _prerenderSources() {
+    if (this._timeline) return;
+    this._pendingRenders.clear();
+
+    const notes = [];
+    for (const zone of this.zones) {
+      if (!zone.buffer) continue;
+      for (let note = zone.lowKey; note <= zone.highKey; note++) notes.push({ zone, note });
+    }
+    notes.sort((a, b) => Math.abs(a.note - a.zone.rootMidi) - Math.abs(b.note - b.zone.rootMidi));
+
+    for (const { zone, note } of notes) this._getPlaybackSource(zone, note);
+  }
+
+  // One pending render per idle slot, so notes played meanwhile are not held up
+  _scheduleRenders() {
+    if (this._renderTimer !== null || this._pendingRenders.size === 0) return;
+
+    const run = () => {
+      this._renderTimer = null;
+      const [id, job] = this._pendingRenders.entries().next().value ?? [];
+      if (!job) return;
+
+      this._pendingRenders.delete(id);
+      try { job(); } catch (e) { console.error(e); }
+      this._scheduleRenders();
+    };
+
+    this._renderTimer = typeof requestIdleCallback === 'function'
+      ? requestIdleCallback(run, { timeout: 200 })
+      : setTimeout(run, 0);
+  }
+
+  // Zone sample time-stretched by `ratio` (pitch unchanged), with scaled loop
+  // points; null while the render is pending
+  _getStretchedSource(zone, ratio) {
+    if (Math.abs(ratio - 1) < 0.001) return this._getBaseSource(zone);
+
+    const key = `stretch:${ratio.toFixed(4)}`;
+    return this._getBackgroundRender(zone, key, () => {
+      const sr = zone.buffer.sampleRate;
+      const endSample = Math.min(zone.buffer.length, Math.ceil(this._getRenderEnd(zone) * sr) + 1);
+
+      const channels = [];
+      for (let ch = 0; ch < zone.buffer.numberOfChannels; ch++) {
+        channels.push(zone.buffer.getChannelData(ch).subarray(0, endSample));
+      }
+
+      const stretched = this._createBuffer(wsolaStretch(channels, ratio, sr), sr);
+      const loopStart = zone.loopStart * ratio;
+      const loopEnd = Math.min(zone.loopEnd * ratio, stretched.duration);
+
+      return {
+        key,
+        buffer: this._crossfadeLoop(stretched, loopStart, loopEnd) || stretched,
+        raw: stretched,
+        loopStart,
+        loopEnd,
+        sampleStart: zone.sampleStart * ratio,
+        sampleEnd: Math.min(zone.sampleEnd * ratio, stretched.duration)
+      };
+    });
+  }
+
+  // Zone sample pitch-shifted with PSOLA (formants kept, optionally shifted),
+  // optionally time-stretched in the same pass; null while the render is pending
+  _getFormantSource(zone, pitchRatio, timeRatio = 1) {
+    const formantRatio = Math.pow(2, this.config.formantShift / 12);
+    const key = `formant:${pitchRatio.toFixed(4)}:${timeRatio.toFixed(4)}:${formantRatio.toFixed(4)}`;
+
+    return this._getBackgroundRender(zone, key, () => {
+      const sr = zone.buffer.sampleRate;
+      const endSample = Math.min(zone.buffer.length, Math.ceil(this._getRenderEnd(zone) * sr) + 1);
+
+      const channels = [];
+      for (let ch = 0; ch < zone.buffer.numberOfChannels; ch++) {
+        channels.push(zone.buffer.getChannelData(ch).subarray(0, endSample));
+      }
+
+      let marks = this._pitchMarks.get(zone.buffer);
+      if (!marks) {
+        const period = zone.analysis?.rootHz ? sr / zone.analysis.rootHz : null;
+        marks = findPitchMarks(zone.buffer.getChannelData(0), sr, period);
+        this._pitchMarks.set(zone.buffer, marks);
+      }
+
+      const shifted = this._createBuffer(
+        psolaShift(channels, sr, { marks, pitchRatio, timeRatio, formantRatio }),
+        sr
+      );
+      const loopStart = zone.loopStart * timeRatio;
+      const loopEnd = Math.min(zone.loopEnd * timeRatio, shifted.duration);
+
+      return {
+        key,
+        buffer: this._crossfadeLoop(shifted, loopStart, loopEnd) || shifted,
+        raw: shifted,
+        loopStart,
+        loopEnd,
+        sampleStart: zone.sampleStart * timeRatio,
+        sampleEnd: Math.min(zone.sampleEnd * timeRatio, shifted.duration)
+      };
+    });
+  }
+
+  // Shape a forward source for the zone's loop mode
+  _applyLoopMode(zone, source) {
+    const { ONE_SHOT, PING_PONG, REVERSE, RELEASE_TAIL } = VoiceSampler.LOOP_MODES;
+
+    switch (zone.loopMode) {
+      case ONE_SHOT:
+        // Played straight through, so the loop crossfade would only smear it
+        return { ...source, buffer: source.raw };
+
+      case RELEASE_TAIL:
+        // Cut at sample end so the tail stops there once the loop is left
+        return this._getCachedRender(zone, `${source.key}:tail`, () => ({
+          ...source,
+          buffer: this._sliceBuffer(source.buffer, 0, source.sampleEnd)
+        }));
+
+      case PING_PONG:
+        return this._getCachedRender(zone, `${source.key}:pingPong`, () => this._pingPongSource(source));
+
+      case REVERSE:
+        return this._getCachedRender(zone, `${source.key}:reverse`, () => this._reverseSource(source));
+
+      default:
+        return source;
+    }
+  }
+
+  // Audio up to the loop end followed by the loop backward: looping the doubled
+  // region plays forward then backward, and both turnarounds are seamless
+  _pingPongSource(source) {
+    const { raw } = source;
+    const sr = raw.sampleRate;
+    const loopStartSample = Math.floor(source.loopStart * sr);
+    const loopEndSample = Math.min(raw.length, Math.floor(source.loopEnd * sr));
+    const loopLength = loopEndSample - loopStartSample;
+
+    const channels = [];
+    for (let ch = 0; ch < raw.numberOfChannels; ch++) {
+      const src = raw.getChannelData(ch);
+      const dst = new Float32Array(loopEndSample + loopLength);
+
+      dst.set(src.subarray(0, loopEndSample));
+      for (let i = 0; i < loopLength; i++) {
+        dst[loopEndSample + i] = src[loopEndSample - 1 - i];
+      }
+      channels.push(dst);
+    }
+
+    return {
+      ...source,
+      buffer: this._createBuffer(channels, sr),
+      loopEnd: (loopEndSample + loopLength) / sr
+    };
+  }
+
+  // The sample up to sample end, backward, with the loop and start points mirrored
+  _reverseSource(source) {
+    const { raw } = source;
+    const sr = raw.sampleRate;
+    const endSample = Math.min(raw.length, Math.ceil(source.sampleEnd * sr));
+    const duration = endSample / sr;
+
+    const channels = [];
+    for (let ch = 0; ch < raw.numberOfChannels; ch++) {
+      const src = raw.getChannelData(ch);
+      const dst = new Float32Array(endSample);
+      for (let i = 0; i < endSample; i++) {
+        dst[i] = src[endSample - 1 - i];
+      }
+      channels.push(dst);
+    }
+
+    const reversed = this._createBuffer(channels, sr);
+    const loopStart = Math.max(0, duration - source.loopEnd);
+    const loopEnd = Math.max(loopStart, duration - source.loopStart);
+
+    return {
+      ...source,
+      buffer: this._crossfadeLoop(reversed, loopStart, loopEnd) || reversed,
+      raw: reversed,
+      loopStart,
+      loopEnd,
+      sampleStart: 0,
+      sampleEnd: Math.max(0, duration - source.sampleStart)
+    };
+  }
+
+  // Copy of [start, end) seconds of a buffer
+  _sliceBuffer(buffer, start, end) {
+    const sr = buffer.sampleRate;
+    const from = Math.max(0, Math.floor(start * sr));
+    const to = Math.max(from + 1, Math.min(buffer.length, Math.ceil(end * sr)));
+
+    const channels = [];
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+      channels.push(buffer.getChannelData(ch).slice(from, to));
+    }
+    return this._createBuffer(channels, sr);
+  }
+
+  _createBuffer(channels, sampleRate) {
+    const buffer = this.ac.createBuffer(channels.length, channels[0].length, sampleRate);
+    channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+    return buffer;
   }
 
   // ─────────────────────────────────────────────────────────
   // Audio Analysis (YIN Pitch Detection)
   // ─────────────────────────────────────────────────────────
 
-  _analyzeBuffer(audioBuffer) {
+  // region: frames to analyze ({ start, end }), instead of trimming silence
+  _analyzeBuffer(audioBuffer, region = null) {
     const sr = audioBuffer.sampleRate;
     const ch0 = audioBuffer.getChannelData(0);
 
     // Trim silence
-    const trimmed = this._trimSilence(ch0, sr);
+    const trimmed = region
+      ? { samples: ch0.slice(region.start, region.end), startSec: region.start / sr, endSec: region.end / sr }
+      : this._trimSilence(ch0, sr);
 
     // YIN pitch detection (more accurate than autocorrelation)
     const pitchResult = this._detectPitchYIN(trimmed.samples, sr);
     const rootMidi = pitchResult.midi ?? 60;
 
-    // Find optimal loop region
-    const loop = this._findOptimalLoop(trimmed.samples, sr, pitchResult.period);
+    // Ranked loop regions; the best one is the default
+    const loopCandidates = findLoopCandidates(trimmed.samples, sr, { period: pitchResult.period })
+      .map(({ start, end, ...scores }) => ({
+        loopStart: trimmed.startSec + start / sr,
+        loopEnd: trimmed.startSec + end / sr,
+        ...scores
+      }));
+
+    // Pitch over time, for drift and vibrato (the whole buffer, not just the trim)
+    const pitchContour = trackPitch(ch0, sr);
 
     return {
       rootHz: pitchResult.hz,
       rootMidi,
       pitchConfidence: pitchResult.confidence,
-      loopStart: trimmed.startSec + loop.start / sr,
-      loopEnd: trimmed.startSec + loop.end / sr,
+      loopStart: loopCandidates[0].loopStart,
+      loopEnd: loopCandidates[0].loopEnd,
+      loopCandidates,
       duration: audioBuffer.duration,
       trimStartSec: trimmed.startSec,
       trimEndSec: trimmed.endSec,
-      rms: this._calculateRMS(trimmed.samples)
+      rms: this._calculateRMS(trimmed.samples),
+      pitchContour,
+      vibrato: analyzeVibrato(pitchContour),
+      stableSegments: findStableSegments(pitchContour)
     };
   }
 
@@ -1044,80 +2870,6 @@ class VoiceSampler {
     };
   }
 
-  _findOptimalLoop(samples, sr, period) {
-    const totalSamples = samples.length;
-    
-    // Target loop length: 3-8 periods, or 200-600ms
-    const minLoopSamples = Math.floor(sr * 0.15);
-    const maxLoopSamples = Math.floor(sr * 0.6);
-    
-    let loopLength;
-    if (period && period > 0) {
-      // Use multiple of detected period for seamless loop
-      const periodsToUse = Math.max(3, Math.min(8, Math.floor(maxLoopSamples / period)));
-      loopLength = Math.floor(period * periodsToUse);
-    } else {
-      loopLength = Math.floor((minLoopSamples + maxLoopSamples) / 2);
-    }
-
-    loopLength = Math.max(minLoopSamples, Math.min(maxLoopSamples, loopLength));
-
-    // Find steady-state region (after attack, before decay)
-    // Typically 30-70% of the sample
-    const searchStart = Math.floor(totalSamples * 0.25);
-    const searchEnd = Math.floor(totalSamples * 0.75);
-
-    // Find region with most consistent amplitude (RMS)
-    let bestStart = searchStart;
-    let bestVariance = Infinity;
-    const windowSize = Math.floor(sr * 0.02); // 20ms windows
-
-    for (let pos = searchStart; pos < searchEnd - loopLength; pos += windowSize) {
-      const regionEnd = pos + loopLength;
-      if (regionEnd > totalSamples) break;
-
-      // Calculate RMS variance across the region
-      const rmsValues = [];
-      for (let w = pos; w < regionEnd - windowSize; w += windowSize) {
-        let sum = 0;
-        for (let i = w; i < w + windowSize; i++) {
-          sum += samples[i] * samples[i];
-        }
-        rmsValues.push(Math.sqrt(sum / windowSize));
-      }
-
-      const mean = rmsValues.reduce((a, b) => a + b, 0) / rmsValues.length;
-      const variance = rmsValues.reduce((a, b) => a + (b - mean) ** 2, 0) / rmsValues.length;
-
-      if (variance < bestVariance) {
-        bestVariance = variance;
-        bestStart = pos;
-      }
-    }
-
-    // Snap to zero crossings
-    const findZeroCrossing = (pos, direction) => {
-      const limit = Math.min(2048, Math.floor(sr * 0.02));
-      for (let i = 0; i < limit; i++) {
-        const idx = pos + i * direction;
-        if (idx < 1 || idx >= totalSamples - 1) break;
-        
-        if (samples[idx - 1] <= 0 && samples[idx] > 0) {
-          return idx;
-        }
-        if (samples[idx - 1] >= 0 && samples[idx] < 0) {
-          return idx;
-        }
-      }
-      return pos;
-    };
-
-    const start = findZeroCrossing(bestStart, 1);
-    const end = findZeroCrossing(start + loopLength, 1);
-
-    return { start, end };
-  }
-
   _calculateRMS(samples) {
     let sum = 0;
     for (let i = 0; i < samples.length; i++) {
@@ -0,0 +1,331 @@
+/**
+ * WAV files
+ * Encodes AudioBuffers as RIFF/WAVE with sampler metadata, so other
+ * samplers and DAWs open an export already mapped and looped:
+ * - 16/24-bit PCM or 32-bit float
+ * - smpl chunk: MIDI unity note, fine tune and loop points
+ * - cue chunk: a cue point at each loop boundary
+ * - inst chunk: unshifted note, fine tune, key and velocity range
+ * Reads the same chunks back from imported files, and decodes PCM/float
+ * data without resampling
+ */
+
+const BIT_DEPTHS = [16, 24, 32]; // 32 is IEEE float
+
+// smpl loop types
+const LOOP_TYPES = {
+  FORWARD: 0,
+  PING_PONG: 1,
+  REVERSE: 2
+};
+
+// ─────────────────────────────────────────────────────────
+// Encoding
+// ─────────────────────────────────────────────────────────
+
+// options: { bitDepth, metadata }
+// metadata: { rootMidi, cents (-50..50, the sample's pitch above rootMidi),
+//   loops: [{ start, end (frames, end exclusive), type }],
+//   lowKey, highKey, lowVel, highVel }
+function encodeWav(audioBuffer, options = {}) {
+  const bitDepth = BIT_DEPTHS.includes(options.bitDepth) ? options.bitDepth : 16;
+  const meta = options.metadata;
+
+  const chunks = [
+    fmtChunk(audioBuffer, bitDepth),
+    ...(bitDepth === 32 ? [chunk('fact', uint32le(audioBuffer.length))] : []),
+    ...(meta ? metadataChunks(meta, audioBuffer.sampleRate) : []),
+    chunk('data', sampleData(audioBuffer, bitDepth))
+  ];
+
+  // RIFF size counts 'WAVE' plus every chunk with its header and pad byte
+  const size = 4 + chunks.reduce((sum, c) => sum + 8 + c.data.length + (c.data.length & 1), 0);
+  const bytes = new Uint8Array(8 + size);
+  const view = new DataView(bytes.buffer);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, size, true);
+  writeString(view, 8, 'WAVE');
+
+  let offset = 12;
+  for (const c of chunks) {
+    writeString(view, offset, c.id);
+    view.setUint32(offset + 4, c.data.length, true);
+    bytes.set(c.data, offset + 8);
+    offset += 8 + c.data.length + (c.data.length & 1);
+  }
+
+  return bytes.buffer;
+}
+
+function fmtChunk(audioBuffer, bitDepth) {
+  const channels = audioBuffer.numberOfChannels;
+  const blockAlign = channels * bitDepth / 8;
+  const isFloat = bitDepth === 32;
+
+  // Float uses the extended (18 byte) format with an empty extension
+  const data = new DataView(new ArrayBuffer(isFloat ? 18 : 16));
+  data.setUint16(0, isFloat ? 3 : 1, true);
+  data.setUint16(2, channels, true);
+  data.setUint32(4, audioBuffer.sampleRate, true);
+  data.setUint32(8, audioBuffer.sampleRate * blockAlign, true);
+  data.setUint16(12, blockAlign, true);
+  data.setUint16(14, bitDepth, true);
+
+  return chunk('fmt ', new Uint8Array(data.buffer));
+}
+
+function sampleData(audioBuffer, bitDepth) {
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch));
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const view = new DataView(new ArrayBuffer(audioBuffer.length * channels.length * bytesPerSample));
+
+  let offset = 0;
+  for (let i = 0; i < audioBuffer.length; i++) {
+    for (const data of channels) {
+      if (bitDepth === 32) {
+        view.setFloat32(offset, data[i], true);
+      } else {
+        const sample = Math.max(-1, Math.min(1, data[i]));
+        if (bitDepth === 24) {
+          const int = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+          view.setUint8(offset, int & 0xff);
+          view.setUint8(offset + 1, (int >> 8) & 0xff);
+          view.setUint8(offset + 2, (int >> 16) & 0xff);
+        } else {
+          view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        }
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Uint8Array(view.buffer);
+}
+
+// ─────────────────────────────────────────────────────────
+// Sampler Metadata (smpl, cue, inst)
+// ─────────────────────────────────────────────────────────
+
+function metadataChunks(meta, sampleRate) {
+  const loops = meta.loops ?? [];
+  const rootMidi = meta.rootMidi ?? 60;
+  const cents = Math.max(-50, Math.min(50, meta.cents ?? 0));
+
+  // smpl stores the pitch as a unity note plus an upward fraction of a semitone
+  const unityNote = cents < 0 ? rootMidi - 1 : rootMidi;
+  const fraction = cents < 0 ? 1 + cents / 100 : cents / 100;
+
+  const smpl = new DataView(new ArrayBuffer(36 + loops.length * 24));
+  smpl.setUint32(8, Math.round(1e9 / sampleRate), true); // Sample period in ns
+  smpl.setUint32(12, Math.max(0, unityNote), true);
+  smpl.setUint32(16, Math.min(0xFFFFFFFF, Math.round(fraction * 0x100000000)), true);
+  smpl.setUint32(28, loops.length, true);
+  loops.forEach((loop, i) => {
+    const offset = 36 + i * 24;
+    smpl.setUint32(offset, i * 2 + 1, true);                 // Cue point at the loop start
+    smpl.setUint32(offset + 4, loop.type ?? LOOP_TYPES.FORWARD, true);
+    smpl.setUint32(offset + 8, loop.start, true);
+    smpl.setUint32(offset + 12, Math.max(loop.start, loop.end - 1), true); // Inclusive end
+    smpl.setUint32(offset + 20, 0, true);                    // Play count: infinite
+  });
+
+  // One cue point per loop start and end
+  const points = loops.flatMap(loop => [loop.start, loop.end]);
+  const cue = new DataView(new ArrayBuffer(4 + points.length * 24));
+  cue.setUint32(0, points.length, true);
+  points.forEach((position, i) => {
+    const offset = 4 + i * 24;
+    cue.setUint32(offset, i + 1, true);
+    cue.setUint32(offset + 4, position, true);
+    writeString(cue, offset + 8, 'data');
+    cue.setUint32(offset + 20, position, true);
+  });
+
+  // inst: the note this sample plays unshifted and the detune (cents) that corrects it
+  const inst = new Uint8Array([
+    rootMidi & 0x7f,
+    -Math.round(cents) & 0xff,
+    0, // Gain in dB
+    meta.lowKey ?? 0,
+    meta.highKey ?? 127,
+    Math.max(1, meta.lowVel ?? 1),
+    meta.highVel ?? 127
+  ]);
+
+  return [
+    chunk('smpl', new Uint8Array(smpl.buffer)),
+    ...(points.length > 0 ? [chunk('cue ', new Uint8Array(cue.buffer))] : []),
+    chunk('inst', inst)
+  ];
+}
+
+// ─────────────────────────────────────────────────────────
+// Reading
+// ─────────────────────────────────────────────────────────
+
+// Sampler metadata of a WAV file, or null if it is not a WAV. Positions are
+// frames at the file's own sampleRate (the decoded buffer may be resampled).
+// Returns { sampleRate, rootMidi, cents, loop: { start, end, type }, range, cuePoints }
+// with rootMidi/loop/range null when the file doesn't carry them
+function readWavMetadata(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    return null;
+  }
+
+  const chunks = new Map();
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readString(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    if (!chunks.has(id)) chunks.set(id, { offset: offset + 8, size });
+    offset += 8 + size + (size & 1);
+  }
+
+  const fmt = chunks.get('fmt ');
+  const meta = {
+    sampleRate: fmt ? view.getUint32(fmt.offset + 4, true) : 44100,
+    rootMidi: null,
+    cents: 0,
+    loop: null,
+    range: null,
+    cuePoints: []
+  };
+
+  const cue = chunks.get('cue ');
+  if (cue && cue.offset + 4 <= view.byteLength) {
+    const count = view.getUint32(cue.offset, true);
+    for (let i = 0; i < count && cue.offset + 4 + (i + 1) * 24 <= view.byteLength; i++) {
+      meta.cuePoints.push(view.getUint32(cue.offset + 4 + i * 24 + 20, true));
+    }
+  }
+
+  // smpl: unity note plus an upward fraction of a semitone, and the first loop
+  const smpl = chunks.get('smpl');
+  if (smpl && smpl.size >= 36 && smpl.offset + 36 <= view.byteLength) {
+    const pitch = view.getUint32(smpl.offset + 12, true) + view.getUint32(smpl.offset + 16, true) / 0x100000000;
+    meta.rootMidi = Math.max(0, Math.min(127, Math.round(pitch)));
+    meta.cents = Math.round((pitch - meta.rootMidi) * 100);
+
+    const loopCount = view.getUint32(smpl.offset + 28, true);
+    if (loopCount > 0 && smpl.offset + 60 <= view.byteLength) {
+      const start = view.getUint32(smpl.offset + 44, true);
+      const end = view.getUint32(smpl.offset + 48, true) + 1; // Stored inclusive
+      meta.loop = { start, end, type: view.getUint32(smpl.offset + 40, true) };
+    }
+  }
+
+  // No smpl loop: a pair of cue points marks the loop
+  if (!meta.loop && meta.cuePoints.length === 2) {
+    const [start, end] = [...meta.cuePoints].sort((a, b) => a - b);
+    meta.loop = { start, end, type: LOOP_TYPES.FORWARD };
+  }
+  if (meta.loop && meta.loop.end <= meta.loop.start) meta.loop = null;
+
+  // inst: key/velocity range, and the root when there is no smpl
+  const inst = chunks.get('inst');
+  if (inst && inst.size >= 7 && inst.offset + 7 <= view.byteLength) {
+    if (meta.rootMidi === null) {
+      meta.rootMidi = view.getUint8(inst.offset) & 0x7f;
+      meta.cents = -view.getInt8(inst.offset + 1); // Stored as the correcting detune
+    }
+    meta.range = {
+      lowKey: view.getUint8(inst.offset + 3) & 0x7f,
+      highKey: view.getUint8(inst.offset + 4) & 0x7f,
+      lowVel: view.getUint8(inst.offset + 5) & 0x7f,
+      highVel: view.getUint8(inst.offset + 6) & 0x7f
+    };
+    if (meta.range.lowKey > meta.range.highKey || meta.range.lowVel > meta.range.highVel) meta.range = null;
+  }
+
+  return meta;
+}
+
+// Sample data at the file's own rate (decodeAudioData resamples to the context).
+// Handles 8/16/24/32-bit PCM and 32/64-bit float.
+// Returns { sampleRate, channels: [Float32Array] }
+function decodeWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readString(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'fmt ') fmt = { offset: offset + 8 };
+    if (id === 'data') data = { offset: offset + 8, size: Math.min(size, view.byteLength - offset - 8) };
+    offset += 8 + size + (size & 1);
+  }
+  if (!fmt || !data) throw new Error('WAV file has no fmt or data chunk');
+
+  let format = view.getUint16(fmt.offset, true);
+  const channelCount = view.getUint16(fmt.offset + 2, true);
+  const sampleRate = view.getUint32(fmt.offset + 4, true);
+  const bits = view.getUint16(fmt.offset + 14, true);
+  if (format === 0xFFFE) format = view.getUint16(fmt.offset + 24, true); // Extensible: sub-format GUID
+
+  const bytesPerSample = bits / 8;
+  const length = Math.floor(data.size / (bytesPerSample * channelCount));
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(length));
+
+  const read = format === 3
+    ? (bits === 64 ? (o) => view.getFloat64(o, true) : (o) => view.getFloat32(o, true))
+    : {
+        8: (o) => (view.getUint8(o) - 128) / 128,
+        16: (o) => view.getInt16(o, true) / 0x8000,
+        24: (o) => ((view.getUint8(o + 2) << 24 | view.getUint8(o + 1) << 16 | view.getUint8(o) << 8) >> 8) / 0x800000,
+        32: (o) => view.getInt32(o, true) / 0x80000000
+      }[bits];
+  if ((format !== 1 && format !== 3) || !read) {
+    throw new Error(`Unsupported WAV format ${format} (${bits}-bit)`);
+  }
+
+  let position = data.offset;
+  for (let i = 0; i < length; i++) {
+    for (let ch = 0; ch < channelCount; ch++) {
+      channels[ch][i] = read(position);
+      position += bytesPerSample;
+    }
+  }
+
+  return { sampleRate, channels };
+}
+
+// ─────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────
+
+function chunk(id, data) {
+  return { id, data };
+}
+
+function uint32le(value) {
+  const data = new DataView(new ArrayBuffer(4));
+  data.setUint32(0, value, true);
+  return new Uint8Array(data.buffer);
+}
+
+function readString(view, offset, length) {
+  let string = '';
+  for (let i = 0; i < length; i++) {
+    string += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return string;
+}
+
+function writeString(view, offset, string) {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+}
+
+export { BIT_DEPTHS, LOOP_TYPES, encodeWav, readWavMetadata, decodeWav };